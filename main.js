@@ -4,12 +4,71 @@ exports.DEFAULT_SETTINGS = void 0;
 const obsidian_1 = require("obsidian");
 exports.DEFAULT_SETTINGS = {
     username: 'gothamchess',
-    templateDefault: '- {{end_date}} - [{{focus_result}} a {{game_type}} game]({{url}}) against [{{foe}}]({{foe_url}})<sup>{{foe_rating}}</sup>  rating is now {{rating_change}}/{{focus_rating}}',
+    site: 'chesscom',
+    templateDefault: '- {{end_date}} - [{{focus_result}} a {{game_type}} game]({{url}}) against [{{foe}}]({{foe_url}})<sup>{{foe_rating}}</sup>  rating is now {{#if rating_change}}{{rating_change}}/{{/if}}{{focus_rating}}',
     templateOtherUser: '- {{end_date}} - [{{white}}]({{white_url}})({{white_result}}) vs [{{black}}]({{black_url}})({{black_result}}) in {{moves}} moves',
     dateFormat: 'yyyy-MM-dd',
     timeFormat: 'hh:mm',
+    // IANA zone such as 'Europe/Berlin'; empty uses the device's zone
+    timeZone: '',
+    // BCP 47 tag for month and day names; empty follows Obsidian's language
+    dateLocale: '',
+    momentDateFormats: false,
     lastLookupUsername: '',
+    lastLookupSite: 'chesscom',
+    cacheArchives: true,
+    gameNotesFolder: 'Chess/Games',
+    gameNoteName: '{{end_date}} vs {{foe}}',
+    templateGameNoteLink: '- {{end_date}} - {{game_note}}: {{focus_result}} a {{game_type}} game against {{foe}}',
+    templateSummary: '- {{start_date}} to {{end_date}}: {{games_count}} games ({{wins}}W/{{losses}}L/{{draws}}D), rating {{net_rating_change}}, peak {{peak_rating}}, best win {{best_win}}, longest streak {{longest_streak}}',
+    templateHeadToHead: '- [{{focus}}]({{focus_url}}) vs [{{foe}}]({{foe_url}}): {{h2h_wins}}W/{{h2h_losses}}L/{{h2h_draws}}D in {{h2h_games}} games, last five {{h2h_last5}}',
+    templatePuzzle: '- Daily puzzle: [{{puzzle_title}}]({{puzzle_url}}), {{puzzle_to_move}} to move',
+    templatePuzzleStats: '- Puzzles: rating {{puzzle_rating}}, puzzle rush best {{puzzle_rush_best}}',
+    boardImageFolder: 'Chess/Boards',
+    // Half-moves into the game for {{board_image}}; empty for the final position
+    boardImagePly: '',
+    boardPieceSet: 'glyphs',
+    boardTheme: 'brown',
+    boardLightColor: '',
+    boardDarkColor: '',
+    // UCI engine binary, or a stockfish.js file in the vault; empty turns analysis off
+    enginePath: '',
+    engineDepth: 14,
+    engineMoveTime: 500,
+    resolvePlaceholders: true,
+    dailyStatusBar: false,
+    autoSync: false,
+    autoSyncMinutes: 30,
+    autoSyncHeading: '## Chess',
+    // Latest synced end_time per `<site>:<username>`
+    syncMarks: {},
+    // Extra accounts with their own commands: { id, username, site, alias, template, timeClasses }
+    players: [],
 };
+// Game sources selectable per user and per lookup
+const SITE_OPTIONS = [
+    { value: 'chesscom', label: 'Chess.com' },
+    { value: 'lichess', label: 'Lichess.org' },
+];
+// Game type choices offered wherever a command asks for a time class
+const GAME_TYPE_OPTIONS = [
+    { value: 'any', label: 'Any' },
+    { value: 'daily', label: 'Daily' },
+    { value: 'blitz', label: 'Blitz' },
+    { value: 'rapid', label: 'Rapid' },
+    { value: 'bullet', label: 'Bullet' },
+];
+// Fill in missing fields of a tracked player; the id keeps its command ids stable across renames
+function normalizePlayer(player) {
+    return {
+        id: player?.id || Math.random().toString(36).slice(2, 10),
+        username: (player?.username || '').trim(),
+        site: player?.site || 'chesscom',
+        alias: player?.alias || '',
+        template: player?.template || '',
+        timeClasses: Array.isArray(player?.timeClasses) ? player.timeClasses : GAME_TYPE_OPTIONS.map((o) => o.value),
+    };
+}
 class LastChessSettingTab extends obsidian_1.PluginSettingTab {
     constructor(app, plugin) {
         super(app, plugin);
@@ -21,7 +80,7 @@ class LastChessSettingTab extends obsidian_1.PluginSettingTab {
         containerEl.createEl('h2', { text: 'Last Chess.com Game Settings' });
         // Default user
         new obsidian_1.Setting(containerEl)
-            .setName('Default Chess.com Username')
+            .setName('Default username')
             .setDesc('Used when inserting the last game for the default user.')
             .addText((text) => text
             .setPlaceholder('e.g. magnuscarlsen')
@@ -31,39 +90,96 @@ class LastChessSettingTab extends obsidian_1.PluginSettingTab {
             await this.plugin.saveSettings();
             this.plugin.updateCommandNames();
         }));
+        new obsidian_1.Setting(containerEl)
+            .setName('Default site')
+            .setDesc('Where the default user plays. Lookups can pick a site per request.')
+            .addDropdown((dd) => {
+            for (const opt of SITE_OPTIONS)
+                dd.addOption(opt.value, opt.label);
+            dd.setValue(this.plugin.settings.site || 'chesscom')
+                .onChange(async (value) => {
+                this.plugin.settings.site = value;
+                await this.plugin.saveSettings();
+            });
+        });
         // Date format
         const previewEl = containerEl.createEl('div', { attr: { style: 'margin: 6px 0; color: var(--text-muted);' } });
         const updatePreview = () => {
-            const now = new Date();
-            const dateP = formatWithPattern(now, this.plugin.settings.dateFormat || 'yyyy-MM-dd');
-            const timeP = formatWithPattern(now, this.plugin.settings.timeFormat || 'hh:mm');
+            const now = Math.floor(Date.now() / 1000);
+            const dateP = formatDateOnly(now, this.plugin.settings.dateFormat);
+            const timeP = formatTimeOnly(now, this.plugin.settings.timeFormat);
             previewEl.textContent = `Preview: ${dateP} ${timeP}`;
         };
+        const momentPatterns = this.plugin.settings.momentDateFormats;
+        const defaultDate = momentPatterns ? 'YYYY-MM-DD' : 'yyyy-MM-dd';
+        const defaultTime = 'hh:mm';
         new obsidian_1.Setting(containerEl)
             .setName('Date format')
-            .setDesc('Use tokens: yyyy, MM, dd. Example: yyyy-MM-dd')
+            .setDesc(momentPatterns
+            ? 'moment.js format, as in Daily Notes. Example: ddd, D MMM YYYY'
+            : 'Use tokens: yyyy, yy, MMMM, MMM, MM, dd, EEEE, EEE, ww (ISO week). Example: yyyy-MM-dd')
             .addText((text) => text
-            .setPlaceholder('yyyy-MM-dd')
+            .setPlaceholder(defaultDate)
             .setValue(this.plugin.settings.dateFormat)
             .onChange(async (value) => {
-            this.plugin.settings.dateFormat = value || 'yyyy-MM-dd';
+            this.plugin.settings.dateFormat = value || defaultDate;
             await this.plugin.saveSettings();
             updatePreview();
         }));
         new obsidian_1.Setting(containerEl)
             .setName('Time format')
-            .setDesc('Use tokens: HH, hh, mm, ss, a. Example: hh:mm')
+            .setDesc(momentPatterns ? 'moment.js format. Example: HH:mm' : 'Use tokens: HH, hh, mm, ss, a. Example: hh:mm')
             .addText((text) => text
-            .setPlaceholder('hh:mm')
+            .setPlaceholder(defaultTime)
             .setValue(this.plugin.settings.timeFormat)
             .onChange(async (value) => {
-            this.plugin.settings.timeFormat = value || 'hh:mm';
+            this.plugin.settings.timeFormat = value || defaultTime;
+            await this.plugin.saveSettings();
+            updatePreview();
+        }));
+        new obsidian_1.Setting(containerEl)
+            .setName('Use moment.js formats')
+            .setDesc('Write the formats above like your Daily Notes format (YYYY-MM-DD, dddd, Do, …). Switching converts the current formats.')
+            .addToggle((toggle) => toggle
+            .setValue(momentPatterns)
+            .onChange(async (value) => {
+            const s = this.plugin.settings;
+            s.momentDateFormats = value;
+            s.dateFormat = convertDatePattern(s.dateFormat, value);
+            s.timeFormat = convertDatePattern(s.timeFormat, value);
+            await this.plugin.saveSettings();
+            this.display();
+        }));
+        const zoneSetting = new obsidian_1.Setting(containerEl)
+            .setName('Time zone')
+            .setDesc('IANA time zone for dates and times, e.g. Europe/Berlin or America/New_York. Leave empty to use this device\'s zone.');
+        const zoneErrorEl = zoneSetting.descEl.createDiv({ attr: { style: 'color: var(--text-error); margin-top: 4px;' } });
+        const showZoneError = (zone) => zoneErrorEl.setText(zone && !isValidTimeZone(zone) ? `Unknown time zone "${zone}"; using this device's zone.` : '');
+        showZoneError(this.plugin.settings.timeZone);
+        zoneSetting.addText((text) => text
+            .setPlaceholder(Intl.DateTimeFormat().resolvedOptions().timeZone || '')
+            .setValue(this.plugin.settings.timeZone)
+            .onChange(async (value) => {
+            const zone = value.trim();
+            showZoneError(zone);
+            this.plugin.settings.timeZone = zone;
+            await this.plugin.saveSettings();
+            updatePreview();
+        }));
+        new obsidian_1.Setting(containerEl)
+            .setName('Date language')
+            .setDesc('Language for month and day names, e.g. en-GB or de. Leave empty to follow Obsidian.')
+            .addText((text) => text
+            .setPlaceholder(obsidian_1.moment.locale())
+            .setValue(this.plugin.settings.dateLocale)
+            .onChange(async (value) => {
+            this.plugin.settings.dateLocale = value.trim();
             await this.plugin.saveSettings();
             updatePreview();
         }));
         updatePreview();
         // Template for default user
-        new obsidian_1.Setting(containerEl)
+        const checkDefault = this.attachTemplateValidation(new obsidian_1.Setting(containerEl)
             .setName('Template (Default user)')
             .setDesc('See the GitHub repository for available handlebars.')
             .addTextArea((text) => {
@@ -72,13 +188,15 @@ class LastChessSettingTab extends obsidian_1.PluginSettingTab {
                 .setValue(this.plugin.settings.templateDefault)
                 .onChange(async (value) => {
                 this.plugin.settings.templateDefault = value;
+                checkDefault(value);
                 await this.plugin.saveSettings();
             });
             text.inputEl.rows = 4;
             text.inputEl.cols = 50;
-        });
+        }), GAME_TEMPLATE_KEYS);
+        checkDefault(this.plugin.settings.templateDefault);
         // Template for other (looked-up) user
-        new obsidian_1.Setting(containerEl)
+        const checkOtherUser = this.attachTemplateValidation(new obsidian_1.Setting(containerEl)
             .setName('Template (Lookup another user)')
             .setDesc('See the GitHub repository for available handlebars.')
             .addTextArea((text) => {
@@ -87,11 +205,284 @@ class LastChessSettingTab extends obsidian_1.PluginSettingTab {
                 .setValue(this.plugin.settings.templateOtherUser)
                 .onChange(async (value) => {
                 this.plugin.settings.templateOtherUser = value;
+                checkOtherUser(value);
+                await this.plugin.saveSettings();
+            });
+            text.inputEl.rows = 4;
+            text.inputEl.cols = 50;
+        }), GAME_TEMPLATE_KEYS);
+        checkOtherUser(this.plugin.settings.templateOtherUser);
+        // Template for session summaries
+        const checkSummary = this.attachTemplateValidation(new obsidian_1.Setting(containerEl)
+            .setName('Template (Session summary)')
+            .setDesc('Aggregate handlebars for a date range, e.g. {{games_count}}, {{wins}}, {{net_rating_change}}.')
+            .addTextArea((text) => {
+            text
+                .setPlaceholder('Template when inserting a session summary')
+                .setValue(this.plugin.settings.templateSummary)
+                .onChange(async (value) => {
+                this.plugin.settings.templateSummary = value;
+                checkSummary(value);
+                await this.plugin.saveSettings();
+            });
+            text.inputEl.rows = 4;
+            text.inputEl.cols = 50;
+        }), SUMMARY_TEMPLATE_KEYS);
+        checkSummary(this.plugin.settings.templateSummary);
+        // Template for head-to-head records
+        const checkHeadToHead = this.attachTemplateValidation(new obsidian_1.Setting(containerEl)
+            .setName('Template (Head-to-head)')
+            .setDesc('Record between two players, e.g. {{h2h_wins}}, {{h2h_losses}}, {{h2h_last5}}; {{#each games}} lists every game.')
+            .addTextArea((text) => {
+            text
+                .setPlaceholder('Template when inserting a head-to-head record')
+                .setValue(this.plugin.settings.templateHeadToHead)
+                .onChange(async (value) => {
+                this.plugin.settings.templateHeadToHead = value;
+                checkHeadToHead(value);
+                await this.plugin.saveSettings();
+            });
+            text.inputEl.rows = 4;
+            text.inputEl.cols = 50;
+        }), HEAD_TO_HEAD_TEMPLATE_KEYS);
+        checkHeadToHead(this.plugin.settings.templateHeadToHead);
+        // Templates for training content
+        const checkPuzzle = this.attachTemplateValidation(new obsidian_1.Setting(containerEl)
+            .setName('Template (Daily puzzle)')
+            .setDesc('E.g. {{puzzle_title}}, {{puzzle_url}}, {{puzzle_fen}}, {{puzzle_solution}}; {{puzzle_board}} draws the starting position.')
+            .addTextArea((text) => {
+            text
+                .setPlaceholder('Template when inserting the daily puzzle')
+                .setValue(this.plugin.settings.templatePuzzle)
+                .onChange(async (value) => {
+                this.plugin.settings.templatePuzzle = value;
+                checkPuzzle(value);
+                await this.plugin.saveSettings();
+            });
+            text.inputEl.rows = 4;
+            text.inputEl.cols = 50;
+        }), PUZZLE_TEMPLATE_KEYS);
+        checkPuzzle(this.plugin.settings.templatePuzzle);
+        const checkPuzzleStats = this.attachTemplateValidation(new obsidian_1.Setting(containerEl)
+            .setName('Template (Puzzle stats)')
+            .setDesc('E.g. {{puzzle_rating}}, {{puzzle_rating_highest}}, {{puzzle_rush_best}}.')
+            .addTextArea((text) => {
+            text
+                .setPlaceholder('Template when inserting puzzle stats')
+                .setValue(this.plugin.settings.templatePuzzleStats)
+                .onChange(async (value) => {
+                this.plugin.settings.templatePuzzleStats = value;
+                checkPuzzleStats(value);
+                await this.plugin.saveSettings();
+            });
+            text.inputEl.rows = 4;
+            text.inputEl.cols = 50;
+        }), PUZZLE_STATS_TEMPLATE_KEYS);
+        checkPuzzleStats(this.plugin.settings.templatePuzzleStats);
+        // Saved game notes
+        new obsidian_1.Setting(containerEl)
+            .setName('Game notes folder')
+            .setDesc('Where "Save last game as note" creates one note per game.')
+            .addText((text) => text
+            .setPlaceholder('Chess/Games')
+            .setValue(this.plugin.settings.gameNotesFolder)
+            .onChange(async (value) => {
+            this.plugin.settings.gameNotesFolder = value.trim();
+            await this.plugin.saveSettings();
+        }));
+        const checkNoteName = this.attachTemplateValidation(new obsidian_1.Setting(containerEl)
+            .setName('Game note name')
+            .setDesc('File name for saved games; takes the same handlebars as the default template.')
+            .addText((text) => text
+            .setPlaceholder('{{end_date}} vs {{foe}}')
+            .setValue(this.plugin.settings.gameNoteName)
+            .onChange(async (value) => {
+            this.plugin.settings.gameNoteName = value;
+            checkNoteName(value);
+            await this.plugin.saveSettings();
+        })), GAME_TEMPLATE_KEYS);
+        checkNoteName(this.plugin.settings.gameNoteName);
+        const checkGameNoteLink = this.attachTemplateValidation(new obsidian_1.Setting(containerEl)
+            .setName('Template (Saved game link)')
+            .setDesc('Line inserted after saving a game as a note. {{game_note}} links to the saved note.')
+            .addTextArea((text) => {
+            text
+                .setPlaceholder('Template when inserting a link to a saved game')
+                .setValue(this.plugin.settings.templateGameNoteLink)
+                .onChange(async (value) => {
+                this.plugin.settings.templateGameNoteLink = value;
+                checkGameNoteLink(value);
                 await this.plugin.saveSettings();
             });
             text.inputEl.rows = 4;
             text.inputEl.cols = 50;
+        }), GAME_TEMPLATE_KEYS);
+        checkGameNoteLink(this.plugin.settings.templateGameNoteLink);
+        this.displayPlayers(containerEl);
+        // Board diagrams (interactive boards and {{board_image}})
+        new obsidian_1.Setting(containerEl)
+            .setName('Board pieces')
+            .addDropdown((dd) => {
+            for (const opt of PIECE_SET_OPTIONS)
+                dd.addOption(opt.value, opt.label);
+            dd.setValue(this.plugin.settings.boardPieceSet)
+                .onChange(async (value) => {
+                this.plugin.settings.boardPieceSet = value;
+                await this.plugin.saveSettings();
+            });
         });
+        new obsidian_1.Setting(containerEl)
+            .setName('Board colors')
+            .setDesc('Preset, optionally overridden by custom light and dark square colors (e.g. #eeeed2).')
+            .addDropdown((dd) => {
+            for (const theme of Object.keys(BOARD_THEMES))
+                dd.addOption(theme, theme.charAt(0).toUpperCase() + theme.slice(1));
+            dd.setValue(this.plugin.settings.boardTheme)
+                .onChange(async (value) => {
+                this.plugin.settings.boardTheme = value;
+                await this.plugin.saveSettings();
+            });
+        })
+            .addText((text) => text
+            .setPlaceholder('Light')
+            .setValue(this.plugin.settings.boardLightColor)
+            .onChange(async (value) => {
+            this.plugin.settings.boardLightColor = value.trim();
+            await this.plugin.saveSettings();
+        }))
+            .addText((text) => text
+            .setPlaceholder('Dark')
+            .setValue(this.plugin.settings.boardDarkColor)
+            .onChange(async (value) => {
+            this.plugin.settings.boardDarkColor = value.trim();
+            await this.plugin.saveSettings();
+        }));
+        new obsidian_1.Setting(containerEl)
+            .setName('Board image folder')
+            .setDesc('Where {{board_image}} saves SVG diagrams.')
+            .addText((text) => text
+            .setPlaceholder('Chess/Boards')
+            .setValue(this.plugin.settings.boardImageFolder)
+            .onChange(async (value) => {
+            this.plugin.settings.boardImageFolder = value.trim();
+            await this.plugin.saveSettings();
+        }));
+        new obsidian_1.Setting(containerEl)
+            .setName('Board image move')
+            .setDesc('Half-moves into the game to draw (e.g. 20 = after Black\'s 10th move). Leave empty for the final position.')
+            .addText((text) => text
+            .setPlaceholder('final')
+            .setValue(this.plugin.settings.boardImagePly)
+            .onChange(async (value) => {
+            this.plugin.settings.boardImagePly = value.trim();
+            await this.plugin.saveSettings();
+        }));
+        // Engine analysis ({{focus_accuracy}}, {{blunders}}, …)
+        new obsidian_1.Setting(containerEl)
+            .setName('Analysis engine')
+            .setDesc('Path to a UCI engine such as Stockfish (desktop only), or to a stockfish.js file in your vault (runs in a worker, also on mobile). Leave empty to turn analysis off.')
+            .addText((text) => text
+            .setPlaceholder('/usr/local/bin/stockfish')
+            .setValue(this.plugin.settings.enginePath)
+            .onChange(async (value) => {
+            this.plugin.settings.enginePath = value.trim();
+            await this.plugin.saveSettings();
+        }));
+        new obsidian_1.Setting(containerEl)
+            .setName('Analysis depth and time')
+            .setDesc('Search depth and maximum milliseconds per position; the engine stops at whichever comes first.')
+            .addText((text) => text
+            .setPlaceholder(String(exports.DEFAULT_SETTINGS.engineDepth))
+            .setValue(String(this.plugin.settings.engineDepth))
+            .onChange(async (value) => {
+            const n = parseInt(value, 10);
+            this.plugin.settings.engineDepth = n > 0 ? n : exports.DEFAULT_SETTINGS.engineDepth;
+            await this.plugin.saveSettings();
+        }))
+            .addText((text) => text
+            .setPlaceholder(String(exports.DEFAULT_SETTINGS.engineMoveTime))
+            .setValue(String(this.plugin.settings.engineMoveTime))
+            .onChange(async (value) => {
+            const n = parseInt(value, 10);
+            this.plugin.settings.engineMoveTime = n > 0 ? n : exports.DEFAULT_SETTINGS.engineMoveTime;
+            await this.plugin.saveSettings();
+        }));
+        new obsidian_1.Setting(containerEl)
+            .setName('Daily games to move in status bar')
+            .setDesc('Show how many of the default user\'s Chess.com daily games are waiting for your move.')
+            .addToggle((toggle) => toggle
+            .setValue(this.plugin.settings.dailyStatusBar)
+            .onChange(async (value) => {
+            this.plugin.settings.dailyStatusBar = value;
+            await this.plugin.saveSettings();
+            this.plugin.scheduleDailyStatus();
+        }));
+        // Auto sync into the daily note
+        new obsidian_1.Setting(containerEl)
+            .setName('Auto sync into daily note')
+            .setDesc('On startup and every few minutes, append games the default user finished since the last sync to today\'s daily note.')
+            .addToggle((toggle) => toggle
+            .setValue(this.plugin.settings.autoSync)
+            .onChange(async (value) => {
+            this.plugin.settings.autoSync = value;
+            await this.plugin.saveSettings();
+            this.plugin.scheduleAutoSync();
+        }));
+        new obsidian_1.Setting(containerEl)
+            .setName('Sync interval (minutes)')
+            .addText((text) => text
+            .setPlaceholder('30')
+            .setValue(String(this.plugin.settings.autoSyncMinutes))
+            .onChange(async (value) => {
+            const minutes = parseInt(value, 10);
+            if (!(minutes > 0))
+                return;
+            this.plugin.settings.autoSyncMinutes = minutes;
+            await this.plugin.saveSettings();
+            this.plugin.scheduleAutoSync();
+        }));
+        new obsidian_1.Setting(containerEl)
+            .setName('Sync heading')
+            .setDesc('Synced games are appended under this heading, which is added to the note if missing.')
+            .addText((text) => text
+            .setPlaceholder('## Chess')
+            .setValue(this.plugin.settings.autoSyncHeading)
+            .onChange(async (value) => {
+            this.plugin.settings.autoSyncHeading = value.trim();
+            await this.plugin.saveSettings();
+        }));
+        new obsidian_1.Setting(containerEl)
+            .setName('Resolve placeholders in new notes')
+            .setDesc('Fill in <!-- lastchess:… --> and {{lastchess:…}} placeholders when you create a daily note from your Daily Notes template. Other notes use the resolve command.')
+            .addToggle((toggle) => toggle
+            .setValue(this.plugin.settings.resolvePlaceholders)
+            .onChange(async (value) => {
+            this.plugin.settings.resolvePlaceholders = value;
+            await this.plugin.saveSettings();
+        }));
+        // Archive cache
+        new obsidian_1.Setting(containerEl)
+            .setName('Cache Chess.com archives')
+            .setDesc('Keep downloaded monthly archives in the plugin folder. Finished months are never fetched again and cached games stay available when Chess.com is unreachable.')
+            .addToggle((toggle) => toggle
+            .setValue(this.plugin.settings.cacheArchives)
+            .onChange(async (value) => {
+            this.plugin.settings.cacheArchives = value;
+            this.plugin.archiveCache.enabled = value;
+            await this.plugin.saveSettings();
+        }))
+            .addButton((btn) => btn
+            .setButtonText('Clear cache')
+            .onClick(async () => {
+            try {
+                await this.plugin.archiveCache.clear();
+                new obsidian_1.Notice('Archive cache cleared.');
+            }
+            catch (e) {
+                console.error('[LastChess] Failed to clear cache', e);
+                new obsidian_1.Notice('Failed to clear the archive cache. See console for details.');
+            }
+        }));
         // Link to GitHub repo for handlebars reference
         const linkWrap = containerEl.createDiv({ attr: { style: 'margin-top: 12px; color: var(--text-muted);' } });
         const linkP = linkWrap.createEl('p');
@@ -99,18 +490,119 @@ class LastChessSettingTab extends obsidian_1.PluginSettingTab {
         linkP.createEl('a', { href: 'https://github.com/eddie-d0/last-chess.com-game', text: 'the GitHub repository' });
         linkP.appendText('.');
     }
+    // Tracked players, each with its own "Last … played by <alias>" commands
+    displayPlayers(containerEl) {
+        containerEl.createEl('h3', { text: 'Tracked players' });
+        containerEl.createEl('p', { text: 'Other accounts to follow, e.g. alts, students or club members. Each gets its own commands for the enabled game types.', attr: { style: 'color: var(--text-muted);' } });
+        const players = this.plugin.settings.players;
+        players.forEach((player, index) => {
+            const wrap = containerEl.createDiv({ cls: 'lastchess-player', attr: { style: 'border-top: 1px solid var(--background-modifier-border); margin-top: 8px;' } });
+            new obsidian_1.Setting(wrap)
+                .setName(player.alias || player.username || `Player ${index + 1}`)
+                .addText((text) => text
+                .setPlaceholder('Username')
+                .setValue(player.username)
+                .onChange(async (value) => {
+                player.username = value.trim();
+                await this.plugin.saveSettings();
+                this.plugin.updateCommandNames();
+            }))
+                .addText((text) => text
+                .setPlaceholder('Alias (optional)')
+                .setValue(player.alias)
+                .onChange(async (value) => {
+                player.alias = value.trim();
+                await this.plugin.saveSettings();
+                this.plugin.updateCommandNames();
+            }))
+                .addDropdown((dd) => {
+                for (const opt of SITE_OPTIONS)
+                    dd.addOption(opt.value, opt.label);
+                dd.setValue(player.site)
+                    .onChange(async (value) => {
+                    player.site = value;
+                    await this.plugin.saveSettings();
+                });
+            })
+                .addExtraButton((btn) => btn
+                .setIcon('trash')
+                .setTooltip('Remove player')
+                .onClick(async () => {
+                players.splice(index, 1);
+                await this.plugin.saveSettings();
+                this.plugin.reRegisterCommands();
+                this.display();
+            }));
+            const types = new obsidian_1.Setting(wrap).setName('Commands for');
+            for (const opt of GAME_TYPE_OPTIONS) {
+                types.addToggle((toggle) => toggle
+                    .setTooltip(opt.label)
+                    .setValue(player.timeClasses.includes(opt.value))
+                    .onChange(async (value) => {
+                    player.timeClasses = GAME_TYPE_OPTIONS.map((o) => o.value)
+                        .filter((v) => v === opt.value ? value : player.timeClasses.includes(v));
+                    await this.plugin.saveSettings();
+                    this.plugin.reRegisterCommands();
+                }));
+                types.controlEl.createSpan({ text: opt.label, attr: { style: 'margin-right: 8px;' } });
+            }
+            const checkTemplate = this.attachTemplateValidation(new obsidian_1.Setting(wrap)
+                .setName('Template override')
+                .setDesc('Leave empty to use the default template.')
+                .addTextArea((text) => {
+                text
+                    .setPlaceholder(this.plugin.settings.templateDefault)
+                    .setValue(player.template)
+                    .onChange(async (value) => {
+                    player.template = value;
+                    checkTemplate(value);
+                    await this.plugin.saveSettings();
+                });
+                text.inputEl.rows = 3;
+                text.inputEl.cols = 50;
+            }), GAME_TEMPLATE_KEYS);
+            checkTemplate(player.template);
+        });
+        new obsidian_1.Setting(containerEl)
+            .addButton((btn) => btn
+            .setButtonText('Add player')
+            .onClick(async () => {
+            players.push(normalizePlayer({}));
+            await this.plugin.saveSettings();
+            this.plugin.reRegisterCommands();
+            this.display();
+        }));
+    }
+    // Lists template problems under a template setting; returns a function that re-checks a value
+    attachTemplateValidation(setting, knownKeys) {
+        const errorEl = setting.descEl.createDiv({ cls: 'lastchess-template-errors', attr: { style: 'color: var(--text-error); margin-top: 4px;' } });
+        return (tpl) => {
+            errorEl.empty();
+            for (const msg of validateTemplate(tpl, knownKeys))
+                errorEl.createDiv({ text: msg });
+        };
+    }
 }
 class LookupUserModal extends obsidian_1.Modal {
-    constructor(app, plugin) {
+    constructor(app, plugin, mode = 'last') {
         super(app);
         this.plugin = plugin;
-        this.titleEl.setText('Lookup Chess.com user');
+        this.mode = mode;
+        this.titleEl.setText('Lookup user');
     }
     onOpen() {
         const { contentEl } = this;
         contentEl.empty();
-        const desc = contentEl.createEl('div', { text: 'Enter a Chess.com username and choose game type.' });
+        const desc = contentEl.createEl('div', { text: 'Enter a username, its site and choose game type.' });
         desc.setAttr('style', 'margin-bottom:8px;');
+        const modeDiv = contentEl.createDiv({ cls: 'lastchess-lookup-mode', attr: { style: 'margin-bottom:10px;' } });
+        modeDiv.createEl('label', { text: 'Insert', attr: { style: 'display:block; font-weight:600; margin-bottom:4px;' } });
+        this.modeEl = modeDiv.createEl('select');
+        for (const opt of [{ value: 'last', label: 'Last game' }, { value: 'h2h', label: 'Head-to-head record' }]) {
+            const o = this.modeEl.createEl('option', { text: opt.label });
+            o.value = opt.value;
+        }
+        this.modeEl.value = this.mode;
         const userDiv = contentEl.createDiv({ cls: 'lastchess-lookup-user' });
         userDiv.createEl('label', { text: 'Username', attr: { style: 'display:block; font-weight:600; margin-bottom:4px;' } });
         // Row with input and link on the right
@@ -126,7 +618,7 @@ class LookupUserModal extends obsidian_1.Modal {
             try {
                 this.randomLinkEl.textContent = 'Picking…';
                 this.randomLinkEl.addClass('is-loading');
-                const username = await pickRandomTitledUser();
+                const username = await pickRandomTitledUser(this.plugin.getProvider(this.siteEl.value));
                 if (username) {
                     this.inputEl.value = username;
                     this.inputEl.focus();
@@ -144,17 +636,31 @@ class LookupUserModal extends obsidian_1.Modal {
                 this.randomLinkEl.removeClass('is-loading');
             }
         });
+        const siteDiv = contentEl.createDiv({ cls: 'lastchess-lookup-site', attr: { style: 'margin-top:10px;' } });
+        siteDiv.createEl('label', { text: 'Site', attr: { style: 'display:block; font-weight:600; margin-bottom:4px;' } });
+        this.siteEl = siteDiv.createEl('select');
+        for (const opt of SITE_OPTIONS) {
+            const o = this.siteEl.createEl('option', { text: opt.label });
+            o.value = opt.value;
+        }
+        this.siteEl.value = this.plugin.settings.lastLookupSite || this.plugin.settings.site || 'chesscom';
+        // Second player, only asked for in head-to-head mode
+        const opponentDiv = contentEl.createDiv({ cls: 'lastchess-lookup-opponent', attr: { style: 'margin-top:10px;' } });
+        opponentDiv.createEl('label', { text: 'Opponent', attr: { style: 'display:block; font-weight:600; margin-bottom:4px;' } });
+        this.opponentEl = opponentDiv.createEl('input', { type: 'text' });
+        this.opponentEl.placeholder = 'e.g. hikaru';
+        this.opponentEl.setAttr('style', 'width:100%; box-sizing:border-box;');
+        const syncMode = () => {
+            opponentDiv.style.display = this.modeEl.value === 'h2h' ? '' : 'none';
+        };
+        this.modeEl.addEventListener('change', syncMode);
+        syncMode();
+        if (this.mode === 'h2h' && !this.inputEl.value)
+            this.inputEl.value = this.plugin.settings.username || '';
         const typeDiv = contentEl.createDiv({ cls: 'lastchess-lookup-type', attr: { style: 'margin-top:10px;' } });
         typeDiv.createEl('label', { text: 'Game type', attr: { style: 'display:block; font-weight:600; margin-bottom:4px;' } });
         this.selectEl = typeDiv.createEl('select');
-        const options = [
-            { value: 'any', label: 'Any' },
-            { value: 'daily', label: 'Daily' },
-            { value: 'blitz', label: 'Blitz' },
-            { value: 'rapid', label: 'Rapid' },
-            { value: 'bullet', label: 'Bullet' },
-        ];
-        for (const opt of options) {
+        for (const opt of GAME_TYPE_OPTIONS) {
             const o = this.selectEl.createEl('option', { text: opt.label });
             o.value = opt.value;
         }
@@ -164,28 +670,42 @@ class LookupUserModal extends obsidian_1.Modal {
         okBtn.addClass('mod-cta');
         cancelBtn.addEventListener('click', () => this.close());
         okBtn.addEventListener('click', () => this.submit());
-        this.inputEl.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter')
-                this.submit();
-        });
+        for (const input of [this.inputEl, this.opponentEl]) {
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter')
+                    this.submit();
+            });
+        }
         // Focus username
         window.setTimeout(() => this.inputEl.focus(), 0);
     }
     async submit() {
         const username = (this.inputEl.value || '').trim();
         if (!username) {
-            new obsidian_1.Notice('Please enter a Chess.com username.');
+            new obsidian_1.Notice('Please enter a username.');
+            return;
+        }
+        const site = this.siteEl.value;
+        const choice = this.selectEl.value;
+        if (this.modeEl.value === 'h2h') {
+            const opponent = (this.opponentEl.value || '').trim();
+            if (!opponent) {
+                new obsidian_1.Notice('Please enter the opponent\'s username.');
+                return;
+            }
+            this.close();
+            await this.plugin.insertHeadToHead(username, opponent, { site, timeClass: choice === 'any' ? undefined : choice });
             return;
         }
         this.plugin.settings.lastLookupUsername = username;
+        this.plugin.settings.lastLookupSite = site;
         await this.plugin.saveSettings();
-        const choice = this.selectEl.value;
         if (choice === 'any') {
-            await this.plugin.fetchInsert(username, this.plugin.settings.templateOtherUser, { lookupUsername: username });
+            await this.plugin.fetchInsert(username, this.plugin.settings.templateOtherUser, { lookupUsername: username }, { site });
         }
         else {
             const tc = choice;
-            await this.plugin.fetchInsert(username, this.plugin.settings.templateOtherUser, { lookupUsername: username }, { timeClass: tc });
+            await this.plugin.fetchInsert(username, this.plugin.settings.templateOtherUser, { lookupUsername: username }, { timeClass: tc, site });
         }
         this.close();
     }
@@ -194,146 +714,1544 @@ class LookupUserModal extends obsidian_1.Modal {
         contentEl.empty();
     }
 }
-function normalizeUsername(name) {
-    return name?.trim().toLowerCase();
-}
-// Categorize a player's result from Chess.com into win/loss/draw
-function outcomeCategory(result) {
-    const r = (result || '').toLowerCase();
-    if (r === 'win')
-        return 'win';
-    if (r === 'stalemate' || r === 'agreed' || r === 'repetition' || r === 'insufficient' || r === '50move' || r === 'timevsinsufficient' || r === 'draw')
-        return 'draw';
-    if (r === 'checkmated' || r === 'resigned' || r === 'timeout' || r === 'abandoned' || r === 'lose')
-        return 'loss';
-    return 'unknown';
-}
-function pastTenseLabel(cat) {
-    if (cat === 'win')
-        return 'Won';
-    if (cat === 'loss')
-        return 'Lost';
-    if (cat === 'draw')
-        return 'Drew';
-    return '';
-}
-function zeroPad(n, len = 2) { return String(n).padStart(len, '0'); }
-function formatWithPattern(date, pattern) {
-    const y = date.getFullYear();
-    const M = date.getMonth() + 1;
-    const d = date.getDate();
-    const H = date.getHours();
-    const m = date.getMinutes();
-    const s = date.getSeconds();
-    const h12 = H % 12 === 0 ? 12 : H % 12;
-    const ampm = H < 12 ? 'AM' : 'PM';
-    const tokenRe = /(yyyy|MM|dd|HH|hh|mm|ss|a)/g;
-    const map = {
-        yyyy: String(y),
-        MM: zeroPad(M),
-        dd: zeroPad(d),
-        HH: zeroPad(H),
-        hh: zeroPad(h12),
-        mm: zeroPad(m),
-        ss: zeroPad(s),
-        a: ampm,
-    };
-    const fmt = pattern || 'yyyy-MM-dd HH:mm';
-    return fmt.replace(tokenRe, (tok) => map[tok] ?? tok);
-}
-function formatDate(ts, pattern) {
-    if (!ts)
-        return '';
-    try {
-        const d = new Date(ts * 1000);
-        return formatWithPattern(d, pattern || 'yyyy-MM-dd');
+// Quick picker for a game type; resolves to a GAME_TYPE_OPTIONS value
+class GameTypeSuggestModal extends obsidian_1.FuzzySuggestModal {
+    constructor(app, onChoose) {
+        super(app);
+        this.onChoose = onChoose;
+        this.setPlaceholder('Game type');
     }
-    catch {
-        return '';
+    getItems() {
+        return GAME_TYPE_OPTIONS;
     }
-}
-function formatDateOnly(ts, datePattern) {
-    return formatDate(ts, datePattern || 'yyyy-MM-dd');
-}
-function formatTimeOnly(ts, timePattern) {
-    if (!ts)
-        return '';
-    try {
-        const d = new Date(ts * 1000);
-        const pat = timePattern || 'hh:mm';
-        return formatWithPattern(d, pat);
+    getItemText(item) {
+        return item.label;
     }
-    catch {
-        return '';
+    onChooseItem(item) {
+        this.onChoose(item.value);
     }
 }
-function formatTimestamp(ts, datePattern, timePattern) {
-    const d = formatDateOnly(ts, datePattern);
-    const t = formatTimeOnly(ts, timePattern);
-    if (d && t)
-        return `${d} ${t}`;
-    return d || t || '';
-}
-function formatDuration(start, end, timeClass) {
-    if (!start || !end || end < start)
-        return '';
-    const ms = (end - start) * 1000;
-    if ((timeClass || '').toLowerCase() === 'daily') {
-        const days = Math.max(0, Math.round(ms / (24 * 3600 * 1000)));
-        return days === 1 ? '1 day' : `${days} days`;
+// Searchable list of recent games. Shift+Enter or Shift/Ctrl/Cmd+click marks games; Enter inserts
+// the marked games, or the highlighted one when none are marked.
+class GamePickerModal extends obsidian_1.SuggestModal {
+    constructor(app, games, username, settings, onChoose) {
+        super(app);
+        this.games = games;
+        this.username = username;
+        this.settings = settings;
+        this.onChoose = onChoose;
+        this.picked = new Set();
+        this.setPlaceholder('Filter by opponent, result, game type or date');
+        this.setInstructions([
+            { command: '↑↓', purpose: 'to navigate' },
+            { command: '↵', purpose: 'to insert' },
+            { command: 'shift ↵', purpose: 'to mark several games' },
+            { command: 'esc', purpose: 'to dismiss' },
+        ]);
+        // Enter is only bound without modifiers; route Shift+Enter to selectSuggestion as well
+        this.scope.register(['Shift'], 'Enter', (evt) => {
+            this.selectActiveSuggestion(evt);
+            return false;
+        });
     }
-    const totalMinutes = Math.floor(ms / 60000);
-    const hours = Math.floor(totalMinutes / 60);
-    const minutes = totalMinutes % 60;
-    return `${zeroPad(hours)}:${zeroPad(minutes)}`; // clock-like HH:MM
-}
-function countFullMovesFromPgn(pgn) {
-    if (!pgn)
-        return 'N/A';
-    try {
-        // Separate headers and moves
-        const parts = pgn.split(/\n\n/);
-        const movesSection = parts[parts.length - 1] || '';
-        // Remove comments { ... } and variations ( ... )
-        let s = movesSection.replace(/\{[^}]*\}/g, ' ').replace(/\([^)]*\)/g, ' ');
-        // Remove result tokens
-        s = s.replace(/\s(1-0|0-1|1\/2-1\/2|\*)\s*$/m, ' ');
-        // Split by whitespace
-        const tokens = s.trim().split(/\s+/);
-        // Filter out move numbers like "12." or "12..."
-        const sans = tokens.filter(t => !/^\d+\.\.\.|^\d+\.$/.test(t));
-        // Exclude empty and NAGs like $5 and annotations +, #, !?
-        const clean = sans.filter(t => t && !/^\$\d+$/.test(t) && !/^\d-\d$/.test(t) && !/^\*$/.test(t) && !/^(1-0|0-1|1\/2-1\/2)$/.test(t) && !/^[!?+#]+$/.test(t));
-        const ply = clean.length;
-        const fullMoves = Math.max(1, Math.ceil(ply / 2));
-        return String(fullMoves);
+    describe(game) {
+        const u = normalizeUsername(this.username);
+        const color = colorOfUser(game, u);
+        const me = game[color] || {};
+        const opp = game[color === 'white' ? 'black' : 'white'] || {};
+        return {
+            date: `${formatDateOnly(game.end_time, this.settings.dateFormat)} ${formatTimeOnly(game.end_time, this.settings.timeFormat)}`,
+            type: labelGameType(game.time_class),
+            opponent: opp.username || '',
+            opponentRating: opp.rating != null ? String(opp.rating) : '',
+            result: pastTenseLabel(outcomeCategory(me.result)),
+            rating: me.rating != null ? String(me.rating) : '',
+        };
     }
-    catch {
-        return 'N/A';
+    getSuggestions(query) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        return this.games.filter((game) => {
+            const d = this.describe(game);
+            const text = [d.date, d.type, d.opponent, d.result, game.time_class].join(' ').toLowerCase();
+            return terms.every((t) => text.includes(t));
+        });
     }
-}
-async function fetchJson(url) {
-    const res = await (0, obsidian_1.requestUrl)({ url, method: 'GET' });
-    if (res.status !== 200) {
-        throw new Error(`HTTP ${res.status} for ${url}`);
+    renderSuggestion(game, el) {
+        const d = this.describe(game);
+        const marked = this.picked.has(game);
+        el.createDiv({ text: `${marked ? '✓ ' : ''}${d.result} vs ${d.opponent}${d.opponentRating ? ` (${d.opponentRating})` : ''}`, attr: { style: marked ? 'font-weight:600;' : '' } });
+        el.createEl('small', { text: `${d.date} · ${d.type}${d.rating ? ` · rating ${d.rating}` : ''}`, attr: { style: 'color: var(--text-muted);' } });
     }
-    return res.json;
-}
-// Pick a random titled player from Chess.com leaderboards
-async function pickRandomTitledUser() {
-    try {
-        const data = await fetchJson('https://api.chess.com/pub/leaderboards');
-        const buckets = [];
-        for (const key of Object.keys(data || {})) {
-            const arr = data[key];
-            if (Array.isArray(arr))
-                buckets.push(arr);
+    selectSuggestion(game, evt) {
+        if (evt && (evt.shiftKey || evt.ctrlKey || evt.metaKey)) {
+            if (this.picked.has(game))
+                this.picked.delete(game);
+            else
+                this.picked.add(game);
+            // Re-render the list to show the marks
+            this.inputEl.dispatchEvent(new Event('input'));
+            return;
         }
-        const usernames = [];
-        for (const arr of buckets) {
-            for (const item of arr) {
-                const u = (item && (item.username || item.player || item.url || ''));
-                const title = (item && (item.title || item.tier || item.titled));
+        super.selectSuggestion(game, evt);
+    }
+    onChooseSuggestion(game) {
+        const chosen = this.picked.size ? [...this.picked] : [game];
+        this.onChoose(chosen.sort((a, b) => (a.end_time || 0) - (b.end_time || 0)));
+    }
+}
+// Choose the date range for a session summary: today, this week or a custom range
+class SummaryRangeModal extends obsidian_1.Modal {
+    constructor(app, onSubmit, title = 'Session summary') {
+        super(app);
+        this.onSubmit = onSubmit;
+        this.titleEl.setText(title);
+    }
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+        const rangeDiv = contentEl.createDiv({ cls: 'lastchess-summary-range' });
+        rangeDiv.createEl('label', { text: 'Range', attr: { style: 'display:block; font-weight:600; margin-bottom:4px;' } });
+        this.rangeEl = rangeDiv.createEl('select');
+        for (const opt of [{ value: 'today', label: 'Today' }, { value: 'week', label: 'This week' }, { value: 'month', label: 'This month' }, { value: 'year', label: 'This year' }, { value: 'custom', label: 'Custom range' }]) {
+            const o = this.rangeEl.createEl('option', { text: opt.label });
+            o.value = opt.value;
+        }
+        const customDiv = contentEl.createDiv({ cls: 'lastchess-summary-custom', attr: { style: 'display:none; gap:8px; margin-top:10px;' } });
+        const today = zonedToday().format('YYYY-MM-DD');
+        this.fromEl = customDiv.createEl('input', { type: 'date', value: today });
+        this.toEl = customDiv.createEl('input', { type: 'date', value: today });
+        this.rangeEl.addEventListener('change', () => {
+            customDiv.style.display = this.rangeEl.value === 'custom' ? 'flex' : 'none';
+        });
+        const btnBar = contentEl.createDiv({ attr: { style: 'display:flex; gap:8px; margin-top:14px; justify-content:flex-end;' } });
+        const cancelBtn = btnBar.createEl('button', { text: 'Cancel' });
+        const okBtn = btnBar.createEl('button', { text: 'Insert' });
+        okBtn.addClass('mod-cta');
+        cancelBtn.addEventListener('click', () => this.close());
+        okBtn.addEventListener('click', () => this.submit());
+    }
+    submit() {
+        const choice = this.rangeEl.value;
+        let from = zonedToday();
+        let to = from.clone();
+        if (choice === 'week' || choice === 'month' || choice === 'year') {
+            from = to.clone().startOf(choice === 'week' ? 'isoWeek' : choice);
+        }
+        else if (choice === 'custom') {
+            from = (0, obsidian_1.moment)(this.fromEl.value, 'YYYY-MM-DD', true);
+            to = (0, obsidian_1.moment)(this.toEl.value, 'YYYY-MM-DD', true);
+            if (!from.isValid() || !to.isValid() || to.isBefore(from)) {
+                new obsidian_1.Notice('Please pick a valid date range.');
+                return;
+            }
+        }
+        this.close();
+        // Ranges are whole days in the configured time zone; `until` is exclusive
+        this.onSubmit(dayStartUnix(from), dayStartUnix(to.clone().add(1, 'day')));
+    }
+    onClose() {
+        const { contentEl } = this;
+        contentEl.empty();
+    }
+}
+// Ask which account to import and in which form
+class ImportModal extends obsidian_1.Modal {
+    constructor(app, plugin) {
+        super(app);
+        this.plugin = plugin;
+        this.titleEl.setText('Import all games');
+    }
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl('div', { text: 'Imports every archived game once. Re-running continues where the last run stopped and only adds new games.', attr: { style: 'margin-bottom:8px;' } });
+        const field = (label) => {
+            const div = contentEl.createDiv({ attr: { style: 'margin-top:10px;' } });
+            div.createEl('label', { text: label, attr: { style: 'display:block; font-weight:600; margin-bottom:4px;' } });
+            return div;
+        };
+        this.inputEl = field('Username').createEl('input', { type: 'text' });
+        this.inputEl.value = this.plugin.settings.username || '';
+        this.inputEl.setAttr('style', 'width:100%; box-sizing:border-box;');
+        this.siteEl = field('Site').createEl('select');
+        for (const opt of SITE_OPTIONS) {
+            const o = this.siteEl.createEl('option', { text: opt.label });
+            o.value = opt.value;
+        }
+        this.siteEl.value = this.plugin.settings.site || 'chesscom';
+        this.modeEl = field('Save as').createEl('select');
+        for (const opt of [{ value: 'notes', label: 'One note per game' }, { value: 'pgn', label: 'One PGN file per month' }]) {
+            const o = this.modeEl.createEl('option', { text: opt.label });
+            o.value = opt.value;
+        }
+        const btnBar = contentEl.createDiv({ attr: { style: 'display:flex; gap:8px; margin-top:14px; justify-content:flex-end;' } });
+        const cancelBtn = btnBar.createEl('button', { text: 'Cancel' });
+        const okBtn = btnBar.createEl('button', { text: 'Import' });
+        okBtn.addClass('mod-cta');
+        cancelBtn.addEventListener('click', () => this.close());
+        okBtn.addEventListener('click', () => {
+            const username = (this.inputEl.value || '').trim();
+            if (!username) {
+                new obsidian_1.Notice('Please enter a username.');
+                return;
+            }
+            this.close();
+            this.plugin.importAllGames(username, this.siteEl.value, this.modeEl.value);
+        });
+    }
+    onClose() {
+        const { contentEl } = this;
+        contentEl.empty();
+    }
+}
+// Yes/no question; `result` resolves to true only when the user confirms
+class ConfirmModal extends obsidian_1.Modal {
+    constructor(app, title, message, confirmText) {
+        super(app);
+        this.confirmed = false;
+        this.titleEl.setText(title);
+        this.message = message;
+        this.confirmText = confirmText;
+        this.result = new Promise((resolve) => (this.resolve = resolve));
+    }
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+        contentEl.createEl('div', { text: this.message });
+        const btnBar = contentEl.createDiv({ attr: { style: 'display:flex; gap:8px; margin-top:14px; justify-content:flex-end;' } });
+        const cancelBtn = btnBar.createEl('button', { text: 'Cancel' });
+        const okBtn = btnBar.createEl('button', { text: this.confirmText });
+        okBtn.addClass('mod-cta');
+        cancelBtn.addEventListener('click', () => this.close());
+        okBtn.addEventListener('click', () => {
+            this.confirmed = true;
+            this.close();
+        });
+    }
+    onClose() {
+        this.contentEl.empty();
+        this.resolve(this.confirmed);
+    }
+}
+// Per-month progress of a running import; closing it cancels the import
+class ImportProgressModal extends obsidian_1.Modal {
+    constructor(app, title) {
+        super(app);
+        this.cancelled = false;
+        this.finished = false;
+        this.rows = new Map();
+        this.titleEl.setText(title);
+    }
+    onOpen() {
+        const { contentEl } = this;
+        contentEl.empty();
+        this.summaryEl = contentEl.createDiv({ text: 'Listing archives…', attr: { style: 'margin-bottom:8px;' } });
+        this.listEl = contentEl.createDiv({ cls: 'lastchess-import-months', attr: { style: 'max-height:320px; overflow-y:auto; font-family: var(--font-monospace); font-size: 0.85em;' } });
+        const btnBar = contentEl.createDiv({ attr: { style: 'display:flex; gap:8px; margin-top:14px; justify-content:flex-end;' } });
+        this.cancelBtn = btnBar.createEl('button', { text: 'Cancel' });
+        this.cancelBtn.addEventListener('click', () => this.close());
+    }
+    setMonths(keys) {
+        this.listEl.empty();
+        this.rows.clear();
+        for (const key of [...keys].reverse()) {
+            const row = this.listEl.createDiv({ attr: { style: 'display:flex; justify-content:space-between; gap:12px;' } });
+            row.createSpan({ text: key });
+            this.rows.set(key, row.createSpan({ text: 'pending', attr: { style: 'color: var(--text-muted);' } }));
+        }
+    }
+    setStatus(key, text, isError) {
+        const el = this.rows.get(key);
+        if (!el)
+            return;
+        el.setText(text);
+        el.style.color = isError ? 'var(--text-error)' : '';
+    }
+    setSummary(text) {
+        this.summaryEl.setText(text);
+    }
+    finish(text) {
+        this.finished = true;
+        this.setSummary(text);
+        this.cancelBtn.setText('Close');
+    }
+    onClose() {
+        if (!this.finished)
+            this.cancelled = true;
+        this.contentEl.empty();
+    }
+}
+// Interactive board for a lastchess code block: step through plies or click a move
+class BoardWidget extends obsidian_1.MarkdownRenderChild {
+    constructor(containerEl, replay, orientation, style) {
+        super(containerEl);
+        this.replay = replay;
+        this.orientation = orientation;
+        this.style = style || {};
+        this.ply = replay.positions.length - 1;
+        this.moveEls = [];
+    }
+    onload() {
+        const { containerEl } = this;
+        containerEl.empty();
+        const wrap = containerEl.createDiv({ cls: 'lastchess-board', attr: { tabindex: '0', style: 'display:flex; flex-wrap:wrap; gap:12px; align-items:flex-start; outline:none;' } });
+        const left = wrap.createDiv({ attr: { style: 'display:flex; flex-direction:column; gap:6px;' } });
+        this.boardEl = left.createDiv({ cls: 'lastchess-board-svg' });
+        const controls = left.createDiv({ cls: 'lastchess-board-controls', attr: { style: 'display:flex; gap:4px; justify-content:center;' } });
+        const buttons = [
+            { text: '⏮', label: 'Start', ply: () => 0 },
+            { text: '◀', label: 'Back', ply: () => this.ply - 1 },
+            { text: '▶', label: 'Forward', ply: () => this.ply + 1 },
+            { text: '⏭', label: 'End', ply: () => this.replay.positions.length - 1 },
+        ];
+        for (const b of buttons) {
+            const btn = controls.createEl('button', { text: b.text, attr: { 'aria-label': b.label } });
+            btn.addEventListener('click', () => this.setPly(b.ply()));
+        }
+        const list = wrap.createDiv({ cls: 'lastchess-board-moves', attr: { style: 'flex:1; min-width:160px; max-height:360px; overflow-y:auto; line-height:1.8;' } });
+        this.replay.moves.forEach((move, i) => {
+            if (move.color === 'w' || i === 0)
+                list.createSpan({ text: `${Math.floor(i / 2) + 1}.${move.color === 'b' ? '..' : ''} `, attr: { style: 'color: var(--text-muted);' } });
+            const el = list.createSpan({ text: move.san, cls: 'lastchess-board-move', attr: { style: 'cursor:pointer; padding:0 3px; border-radius:3px;' } });
+            el.addEventListener('click', () => this.setPly(i + 1));
+            list.appendText(' ');
+            this.moveEls.push(el);
+        });
+        if (this.replay.error)
+            left.createDiv({ text: `Stopped early: ${this.replay.error}`, attr: { style: 'color: var(--text-error); font-size: 0.8em;' } });
+        wrap.addEventListener('keydown', (e) => {
+            const target = { ArrowLeft: this.ply - 1, ArrowRight: this.ply + 1, Home: 0, End: this.replay.positions.length - 1 }[e.key];
+            if (target !== undefined) {
+                e.preventDefault();
+                this.setPly(target);
+            }
+        });
+        this.update();
+    }
+    setPly(ply) {
+        this.ply = Math.max(0, Math.min(this.replay.positions.length - 1, ply));
+        this.update();
+    }
+    update() {
+        const svg = renderBoardSvg(this.replay.positions[this.ply], {
+            ...this.style,
+            orientation: this.orientation,
+            lastMove: this.ply > 0 ? this.replay.moves[this.ply - 1] : null,
+        });
+        this.boardEl.empty();
+        this.boardEl.appendChild(new DOMParser().parseFromString(svg, 'image/svg+xml').documentElement);
+        this.moveEls.forEach((el, i) => {
+            el.style.background = i === this.ply - 1 ? 'var(--text-selection)' : '';
+        });
+    }
+}
+// Inline placeholders: `<!-- lastchess:type=blitz date=note -->` or the shorthand `{{lastchess:blitz}}`.
+// Once resolved, the output sits between the opening comment and `<!-- /lastchess -->`, so resolving
+// again replaces it instead of adding a second copy.
+const PLACEHOLDER_RE = /<!--\s*lastchess(?::(.*?))?\s*-->(?:\n(?:(?!<!--\s*lastchess\b|{{\s*lastchess)[\s\S])*?<!--\s*\/lastchess\s*-->)?|{{\s*lastchess(?::([\w-]+))?\s*}}/g;
+// Give Daily Notes / Templater time to finish writing a new note before resolving it
+const PLACEHOLDER_DELAY_MS = 1000;
+function parsePlaceholder(args, shorthandType) {
+    const options = {};
+    for (const m of (args || '').matchAll(/([a-z_]+)\s*=\s*("[^"]*"|\S+)/gi))
+        options[m[1].toLowerCase()] = m[2].replace(/^"|"$/g, '');
+    if (shorthandType)
+        options.type = shorthandType;
+    return options;
+}
+function formatPlaceholder(options, text) {
+    const args = Object.entries(options).map(([k, v]) => `${k}=${/\s/.test(v) ? `"${v}"` : v}`).join(' ');
+    const marker = args ? `<!-- lastchess:${args} -->` : '<!-- lastchess -->';
+    return text ? `${marker}\n${text}\n<!-- /lastchess -->` : `${marker}\n<!-- /lastchess -->`;
+}
+// Leading `key: value` lines of a code block, followed by its free-form body
+function parseBlockOptions(source) {
+    const options = {};
+    const lines = (source || '').split('\n');
+    let i = 0;
+    for (; i < lines.length; i++) {
+        const m = lines[i].match(/^\s*([a-z_]+)\s*:\s*(.*?)\s*$/i);
+        if (!m) {
+            if (!lines[i].trim())
+                continue;
+            break;
+        }
+        options[m[1].toLowerCase()] = m[2];
+    }
+    return { options, body: lines.slice(i).join('\n').trim() };
+}
+// Date range and time classes of a report block: `from:`/`to:` (YYYY-MM-DD) or the last `days:` days,
+// and comma-separated `types:`. Null when a date doesn't parse.
+function blockRange(options) {
+    const parseDay = (value) => (0, obsidian_1.moment)(value, 'YYYY-MM-DD', true);
+    const to = options.to ? parseDay(options.to) : null;
+    const from = options.from ? parseDay(options.from) : null;
+    if ((from && !from.isValid()) || (to && !to.isValid()))
+        return null;
+    // Day boundaries follow the configured time zone
+    const until = to ? dayStartUnix(to.clone().add(1, 'day')) : Math.floor(Date.now() / 1000);
+    const days = parseInt(options.days, 10) > 0 ? parseInt(options.days, 10) : 90;
+    const since = from ? dayStartUnix(from) : dayStartUnix((to ? to.clone().add(1, 'day') : zonedToday()).subtract(days, 'days'));
+    const types = (options.types || options.type || '').split(',').map((t) => t.trim().toLowerCase()).filter(Boolean);
+    return { since, until, types };
+}
+// Vault path of a note named in a link, or null for absolute paths and `..` segments
+function linkedNotePath(target) {
+    if (/^([\\/]|[a-z]:)/i.test(target) || target.split(/[\\/]/).some((part) => part.trim() === '..'))
+        return null;
+    const path = (0, obsidian_1.normalizePath)(/\.md$/i.test(target) ? target : `${target}.md`);
+    return path && path !== '.md' ? path : null;
+}
+function normalizeUsername(name) {
+    return name?.trim().toLowerCase();
+}
+// Categorize a player's result from Chess.com into win/loss/draw
+function outcomeCategory(result) {
+    const r = (result || '').toLowerCase();
+    if (r === 'win')
+        return 'win';
+    if (r === 'stalemate' || r === 'agreed' || r === 'repetition' || r === 'insufficient' || r === '50move' || r === 'timevsinsufficient' || r === 'draw')
+        return 'draw';
+    if (r === 'checkmated' || r === 'resigned' || r === 'timeout' || r === 'abandoned' || r === 'lose')
+        return 'loss';
+    return 'unknown';
+}
+function pastTenseLabel(cat) {
+    if (cat === 'win')
+        return 'Won';
+    if (cat === 'loss')
+        return 'Lost';
+    if (cat === 'draw')
+        return 'Drew';
+    return '';
+}
+function zeroPad(n, len = 2) { return String(n).padStart(len, '0'); }
+// Time zone, locale and pattern style used by every date formatter; set from the plugin settings
+const DATE_OPTIONS = { timeZone: '', locale: '', momentPatterns: false };
+function configureDates(settings) {
+    DATE_OPTIONS.timeZone = isValidTimeZone(settings.timeZone) ? settings.timeZone : '';
+    DATE_OPTIONS.locale = settings.dateLocale || '';
+    DATE_OPTIONS.momentPatterns = !!settings.momentDateFormats;
+}
+function isValidTimeZone(zone) {
+    if (!zone)
+        return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: zone });
+        return true;
+    }
+    catch {
+        return false;
+    }
+}
+// Locale for month and day names: the setting, else Obsidian's language
+function dateLocale() {
+    const locale = DATE_OPTIONS.locale || obsidian_1.moment.locale() || 'en';
+    try {
+        return Intl.DateTimeFormat.supportedLocalesOf([locale]).length ? locale : 'en';
+    }
+    catch {
+        return 'en';
+    }
+}
+const zoneFormatters = new Map();
+// Minutes ahead of UTC of the configured time zone at `date` (the device's zone when unset)
+function timeZoneOffset(date) {
+    const zone = DATE_OPTIONS.timeZone;
+    if (!zone)
+        return -date.getTimezoneOffset();
+    if (!zoneFormatters.has(zone)) {
+        zoneFormatters.set(zone, new Intl.DateTimeFormat('en-US', {
+            timeZone: zone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+        }));
+    }
+    const parts = {};
+    for (const p of zoneFormatters.get(zone).formatToParts(date))
+        parts[p.type] = Number(p.value);
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+    return Math.round((wall - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+// Unix time of the midnight that starts a calendar day in the configured time zone (`month` is 0-based)
+function zonedDayStart(year, month, day) {
+    const wall = Date.UTC(year, month, day);
+    let ts = wall - timeZoneOffset(new Date(wall)) * 60000;
+    // Second pass for days where the offset changes (DST)
+    ts = wall - timeZoneOffset(new Date(ts)) * 60000;
+    return Math.floor(ts / 1000);
+}
+// Unix start of a calendar day (a moment's year, month and date) in the configured time zone
+function dayStartUnix(day) {
+    return zonedDayStart(day.year(), day.month(), day.date());
+}
+// Today's calendar date in the configured time zone, as a moment for day arithmetic
+function zonedToday() {
+    const now = new Date();
+    const wall = new Date(now.getTime() + timeZoneOffset(now) * 60000);
+    return (0, obsidian_1.moment)([wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate()]);
+}
+// ISO 8601 week number of a UTC date
+function isoWeek(date) {
+    const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+    return Math.ceil(((d.getTime() - Date.UTC(d.getUTCFullYear(), 0, 1)) / 86400000 + 1) / 7);
+}
+// Classic tokens and their moment.js equivalents, for switching the pattern style
+const CLASSIC_MOMENT_TOKENS = [
+    ['yyyy', 'YYYY'], ['yy', 'YY'], ['dd', 'DD'], ['EEEE', 'dddd'], ['EEE', 'ddd'], ['ww', 'WW'], ['a', 'A'],
+];
+function convertDatePattern(pattern, toMoment) {
+    const pairs = CLASSIC_MOMENT_TOKENS.map(([classic, moment]) => (toMoment ? [classic, moment] : [moment, classic]));
+    const re = new RegExp(pairs.map(([from]) => from).sort((a, b) => b.length - a.length).join('|'), 'g');
+    const map = Object.fromEntries(pairs);
+    return (pattern || '').replace(re, (tok) => map[tok]);
+}
+// Format in the configured time zone. Classic patterns know yyyy yy MMMM MMM MM dd EEEE EEE ww HH hh mm ss a;
+// with `momentPatterns` on, the pattern is handed to moment.js instead (as in Daily Notes).
+function formatWithPattern(date, pattern, momentPatterns = DATE_OPTIONS.momentPatterns) {
+    const offset = timeZoneOffset(date);
+    if (momentPatterns)
+        return (0, obsidian_1.moment)(date).utcOffset(offset).locale(dateLocale()).format(pattern || 'YYYY-MM-DD HH:mm');
+    // Wall clock of the time zone, read through the UTC getters
+    const z = new Date(date.getTime() + offset * 60000);
+    const y = z.getUTCFullYear();
+    const M = z.getUTCMonth() + 1;
+    const d = z.getUTCDate();
+    const H = z.getUTCHours();
+    const m = z.getUTCMinutes();
+    const s = z.getUTCSeconds();
+    const h12 = H % 12 === 0 ? 12 : H % 12;
+    const ampm = H < 12 ? 'AM' : 'PM';
+    const name = (opts) => new Intl.DateTimeFormat(dateLocale(), { ...opts, timeZone: 'UTC' }).format(z);
+    const tokenRe = /(yyyy|yy|MMMM|MMM|MM|dd|EEEE|EEE|ww|HH|hh|mm|ss|a)/g;
+    const map = {
+        yyyy: () => String(y),
+        yy: () => zeroPad(y % 100),
+        MMMM: () => name({ month: 'long' }),
+        MMM: () => name({ month: 'short' }),
+        MM: () => zeroPad(M),
+        dd: () => zeroPad(d),
+        EEEE: () => name({ weekday: 'long' }),
+        EEE: () => name({ weekday: 'short' }),
+        ww: () => zeroPad(isoWeek(z)),
+        HH: () => zeroPad(H),
+        hh: () => zeroPad(h12),
+        mm: () => zeroPad(m),
+        ss: () => zeroPad(s),
+        a: () => ampm,
+    };
+    const fmt = pattern || 'yyyy-MM-dd HH:mm';
+    return fmt.replace(tokenRe, (tok) => map[tok]?.() ?? tok);
+}
+// "today", "yesterday", "3 days ago", "last month", … counted in calendar days of the configured time zone
+function formatRelativeDay(ts, now = Date.now()) {
+    if (!ts)
+        return '';
+    const dayOf = (ms) => Math.floor((ms + timeZoneOffset(new Date(ms)) * 60000) / 86400000);
+    const diff = dayOf(ts * 1000) - dayOf(now);
+    const rtf = new Intl.RelativeTimeFormat(dateLocale(), { numeric: 'auto' });
+    if (Math.abs(diff) < 7)
+        return rtf.format(diff, 'day');
+    if (Math.abs(diff) < 30)
+        return rtf.format(Math.trunc(diff / 7), 'week');
+    if (Math.abs(diff) < 365)
+        return rtf.format(Math.trunc(diff / 30), 'month');
+    return rtf.format(Math.trunc(diff / 365), 'year');
+}
+function formatDate(ts, pattern) {
+    if (!ts)
+        return '';
+    try {
+        const d = new Date(ts * 1000);
+        // The built-in default is a classic pattern, whatever the pattern style
+        return pattern ? formatWithPattern(d, pattern) : formatWithPattern(d, 'yyyy-MM-dd', false);
+    }
+    catch {
+        return '';
+    }
+}
+function formatDateOnly(ts, datePattern) {
+    return formatDate(ts, datePattern);
+}
+function formatTimeOnly(ts, timePattern) {
+    if (!ts)
+        return '';
+    try {
+        const d = new Date(ts * 1000);
+        return timePattern ? formatWithPattern(d, timePattern) : formatWithPattern(d, 'hh:mm', false);
+    }
+    catch {
+        return '';
+    }
+}
+function formatTimestamp(ts, datePattern, timePattern) {
+    const d = formatDateOnly(ts, datePattern);
+    const t = formatTimeOnly(ts, timePattern);
+    if (d && t)
+        return `${d} ${t}`;
+    return d || t || '';
+}
+function formatDuration(start, end, timeClass) {
+    if (!start || !end || end < start)
+        return '';
+    const ms = (end - start) * 1000;
+    const tc = (timeClass || '').toLowerCase();
+    if (tc === 'daily' || tc === 'correspondence') {
+        const days = Math.max(0, Math.round(ms / (24 * 3600 * 1000)));
+        return days === 1 ? '1 day' : `${days} days`;
+    }
+    const totalMinutes = Math.floor(ms / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return `${zeroPad(hours)}:${zeroPad(minutes)}`; // clock-like HH:MM
+}
+const BOARD_FILES = 'abcdefgh';
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+// Squares are 0..63 from a8 to h1, matching FEN order
+function squareFile(sq) { return sq % 8; }
+function squareRank(sq) { return 7 - Math.floor(sq / 8); }
+function squareAt(file, rank) { return (7 - rank) * 8 + file; }
+function squareName(sq) { return BOARD_FILES[squareFile(sq)] + (squareRank(sq) + 1); }
+function parseSquare(name) {
+    return squareAt(BOARD_FILES.indexOf(name[0]), Number(name[1]) - 1);
+}
+function pieceColor(p) { return p === p.toUpperCase() ? 'w' : 'b'; }
+// Board state plus SAN move resolution; pieces are FEN letters (uppercase = white)
+class ChessPosition {
+    constructor() {
+        this.board = new Array(64).fill(null);
+        this.turn = 'w';
+        this.castling = '';
+        this.ep = -1;
+        this.halfmove = 0;
+        this.fullmove = 1;
+    }
+    static fromFen(fen) {
+        const pos = new ChessPosition();
+        const [placement = '', turn = 'w', castling = '-', ep = '-', half = '0', full = '1'] = (fen || START_FEN).trim().split(/\s+/);
+        let sq = 0;
+        for (const ch of placement) {
+            if (ch === '/')
+                continue;
+            if (/\d/.test(ch))
+                sq += Number(ch);
+            else
+                pos.board[sq++] = ch;
+        }
+        if (sq !== 64)
+            throw new Error(`Invalid FEN: ${fen}`);
+        pos.turn = turn === 'b' ? 'b' : 'w';
+        pos.castling = castling === '-' ? '' : castling;
+        pos.ep = ep === '-' ? -1 : parseSquare(ep);
+        pos.halfmove = Number(half) || 0;
+        pos.fullmove = Number(full) || 1;
+        return pos;
+    }
+    clone() {
+        const pos = new ChessPosition();
+        pos.board = this.board.slice();
+        pos.turn = this.turn;
+        pos.castling = this.castling;
+        pos.ep = this.ep;
+        pos.halfmove = this.halfmove;
+        pos.fullmove = this.fullmove;
+        return pos;
+    }
+    toFen() {
+        const rows = [];
+        for (let r = 0; r < 8; r++) {
+            let row = '';
+            let empty = 0;
+            for (let f = 0; f < 8; f++) {
+                const p = this.board[r * 8 + f];
+                if (!p) {
+                    empty++;
+                    continue;
+                }
+                if (empty)
+                    row += empty;
+                empty = 0;
+                row += p;
+            }
+            rows.push(empty ? row + empty : row);
+        }
+        return [rows.join('/'), this.turn, this.castling || '-', this.ep >= 0 ? squareName(this.ep) : '-', this.halfmove, this.fullmove].join(' ');
+    }
+    pathClear(from, to) {
+        const df = Math.sign(squareFile(to) - squareFile(from));
+        const dr = Math.sign(squareRank(to) - squareRank(from));
+        let f = squareFile(from) + df;
+        let r = squareRank(from) + dr;
+        while (f !== squareFile(to) || r !== squareRank(to)) {
+            if (this.board[squareAt(f, r)])
+                return false;
+            f += df;
+            r += dr;
+        }
+        return true;
+    }
+    // Whether the piece on `from` attacks `to` (pawns only attack diagonally)
+    attacks(from, to) {
+        const p = this.board[from];
+        if (!p || from === to)
+            return false;
+        const df = squareFile(to) - squareFile(from);
+        const dr = squareRank(to) - squareRank(from);
+        const adf = Math.abs(df);
+        const adr = Math.abs(dr);
+        switch (p.toUpperCase()) {
+            case 'P': return adf === 1 && dr === (pieceColor(p) === 'w' ? 1 : -1);
+            case 'N': return (adf === 1 && adr === 2) || (adf === 2 && adr === 1);
+            case 'K': return Math.max(adf, adr) === 1;
+            case 'B': return adf === adr && this.pathClear(from, to);
+            case 'R': return (adf === 0 || adr === 0) && this.pathClear(from, to);
+            case 'Q': return (adf === adr || adf === 0 || adr === 0) && this.pathClear(from, to);
+        }
+        return false;
+    }
+    // Whether the piece on `from` may move to `to`, ignoring king safety
+    canMove(from, to) {
+        const p = this.board[from];
+        const target = this.board[to];
+        if (!p || (target && pieceColor(target) === pieceColor(p)))
+            return false;
+        if (p.toUpperCase() !== 'P')
+            return this.attacks(from, to);
+        const dir = pieceColor(p) === 'w' ? 1 : -1;
+        const df = squareFile(to) - squareFile(from);
+        const dr = squareRank(to) - squareRank(from);
+        if (df === 0 && !target) {
+            if (dr === dir)
+                return true;
+            const startRank = dir === 1 ? 1 : 6;
+            return dr === 2 * dir && squareRank(from) === startRank && !this.board[squareAt(squareFile(from), startRank + dir)];
+        }
+        return Math.abs(df) === 1 && dr === dir && (!!target || to === this.ep);
+    }
+    isAttacked(sq, byColor) {
+        for (let from = 0; from < 64; from++) {
+            const p = this.board[from];
+            if (p && pieceColor(p) === byColor && this.attacks(from, sq))
+                return true;
+        }
+        return false;
+    }
+    inCheck(color) {
+        const king = this.board.indexOf(color === 'w' ? 'K' : 'k');
+        return king >= 0 && this.isAttacked(king, color === 'w' ? 'b' : 'w');
+    }
+    // Play a move given as squares; returns the move record and mutates the position
+    play(from, to, promotion) {
+        const p = this.board[from];
+        const color = pieceColor(p);
+        const type = p.toUpperCase();
+        let captured = this.board[to];
+        if (type === 'P' && to === this.ep && !captured) {
+            const victim = squareAt(squareFile(to), squareRank(from));
+            captured = this.board[victim];
+            this.board[victim] = null;
+        }
+        this.board[to] = promotion ? (color === 'w' ? promotion.toUpperCase() : promotion.toLowerCase()) : p;
+        this.board[from] = null;
+        // Castling moves the rook too
+        if (type === 'K' && Math.abs(squareFile(to) - squareFile(from)) === 2) {
+            const rank = squareRank(from);
+            const kingside = squareFile(to) > squareFile(from);
+            const rookFrom = squareAt(kingside ? 7 : 0, rank);
+            const rookTo = squareAt(kingside ? 5 : 3, rank);
+            this.board[rookTo] = this.board[rookFrom];
+            this.board[rookFrom] = null;
+        }
+        const lose = (flags) => { this.castling = this.castling.split('').filter((c) => !flags.includes(c)).join(''); };
+        if (type === 'K')
+            lose(color === 'w' ? 'KQ' : 'kq');
+        for (const sq of [from, to]) {
+            const name = squareName(sq);
+            if (name === 'h1')
+                lose('K');
+            if (name === 'a1')
+                lose('Q');
+            if (name === 'h8')
+                lose('k');
+            if (name === 'a8')
+                lose('q');
+        }
+        this.ep = type === 'P' && Math.abs(squareRank(to) - squareRank(from)) === 2
+            ? squareAt(squareFile(from), (squareRank(from) + squareRank(to)) / 2)
+            : -1;
+        this.halfmove = type === 'P' || captured ? 0 : this.halfmove + 1;
+        if (color === 'b')
+            this.fullmove++;
+        this.turn = color === 'w' ? 'b' : 'w';
+        return { from, to, piece: p, color, captured: captured || null, promotion: promotion || null };
+    }
+    // Resolve a SAN move against the position and play it
+    playSan(san) {
+        const clean = san.replace(/[+#!?]+$/, '').replace(/e\.p\.$/, '');
+        const color = this.turn;
+        const castle = clean.replace(/0/g, 'O');
+        if (castle === 'O-O' || castle === 'O-O-O') {
+            const rank = color === 'w' ? 0 : 7;
+            const from = squareAt(4, rank);
+            const to = squareAt(castle === 'O-O' ? 6 : 2, rank);
+            if (this.board[from] !== (color === 'w' ? 'K' : 'k'))
+                throw new Error(`Illegal castling: ${san}`);
+            return Object.assign(this.play(from, to), { san });
+        }
+        const m = clean.match(/^([KQRBN])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([QRBNqrbn]))?$/);
+        if (!m)
+            throw new Error(`Unreadable move: ${san}`);
+        const type = m[1] || 'P';
+        const to = parseSquare(m[4]);
+        const want = color === 'w' ? type : type.toLowerCase();
+        const candidates = [];
+        for (let from = 0; from < 64; from++) {
+            if (this.board[from] !== want)
+                continue;
+            if (m[2] && squareFile(from) !== BOARD_FILES.indexOf(m[2]))
+                continue;
+            if (m[3] && squareRank(from) !== Number(m[3]) - 1)
+                continue;
+            if (!this.canMove(from, to))
+                continue;
+            // SAN leaves out disambiguation for pinned pieces, so only legal moves count
+            const trial = this.clone();
+            trial.play(from, to, m[5]);
+            if (!trial.inCheck(color))
+                candidates.push(from);
+        }
+        if (candidates.length !== 1)
+            throw new Error(`${candidates.length ? 'Ambiguous' : 'Illegal'} move: ${san}`);
+        return Object.assign(this.play(candidates[0], to, m[5]), { san });
+    }
+    // SAN of a legal move in this position (checks get `+`; mate is not detected)
+    sanOf(from, to, promotion) {
+        const piece = this.board[from];
+        if (!piece)
+            throw new Error(`No piece on ${squareName(from)}`);
+        const type = piece.toUpperCase();
+        let san;
+        if (type === 'K' && Math.abs(squareFile(to) - squareFile(from)) === 2) {
+            san = squareFile(to) === 6 ? 'O-O' : 'O-O-O';
+        }
+        else {
+            const capture = !!this.board[to] || (type === 'P' && squareFile(from) !== squareFile(to));
+            let prefix = type === 'P' ? (capture ? BOARD_FILES[squareFile(from)] : '') : type;
+            if (type !== 'P') {
+                // Other pieces of the same kind that could legally go to the same square
+                const rivals = [];
+                for (let sq = 0; sq < 64; sq++) {
+                    if (sq === from || this.board[sq] !== piece || !this.canMove(sq, to))
+                        continue;
+                    const trial = this.clone();
+                    trial.play(sq, to);
+                    if (!trial.inCheck(this.turn))
+                        rivals.push(sq);
+                }
+                if (rivals.length) {
+                    if (rivals.every((sq) => squareFile(sq) !== squareFile(from)))
+                        prefix += BOARD_FILES[squareFile(from)];
+                    else if (rivals.every((sq) => squareRank(sq) !== squareRank(from)))
+                        prefix += squareRank(from) + 1;
+                    else
+                        prefix += squareName(from);
+                }
+            }
+            san = `${prefix}${capture ? 'x' : ''}${squareName(to)}${promotion ? `=${promotion.toUpperCase()}` : ''}`;
+        }
+        const after = this.clone();
+        after.play(from, to, promotion);
+        return after.inCheck(after.turn) ? `${san}+` : san;
+    }
+}
+// Move text with numbers, starting at the move number and side to move of `fen`
+function numberSanMoves(sans, fen) {
+    const fields = (fen || START_FEN).split(/\s+/);
+    let moveNo = parseInt(fields[5], 10) || 1;
+    let white = fields[1] !== 'b';
+    const out = [];
+    sans.forEach((san, i) => {
+        if (white)
+            out.push(`${moveNo}. ${san}`);
+        else {
+            out.push(i === 0 ? `${moveNo}... ${san}` : san);
+            moveNo++;
+        }
+        white = !white;
+    });
+    return out.join(' ');
+}
+// Positions after every ply of a move list. Stops at the first move that can't be played.
+function replaySanMoves(sans, fen) {
+    const positions = [ChessPosition.fromFen(fen || START_FEN)];
+    const moves = [];
+    let error = null;
+    for (const san of sans) {
+        const pos = positions[positions.length - 1].clone();
+        try {
+            moves.push(pos.playSan(san));
+        }
+        catch (e) {
+            error = e.message;
+            break;
+        }
+        positions.push(pos);
+    }
+    return { positions, moves, error };
+}
+// Filled glyphs for both colors; FE0E keeps them from turning into emoji
+const PIECE_GLYPHS = { K: '♚', Q: '♛', R: '♜', B: '♝', N: '♞', P: '♟' };
+const OUTLINE_PIECE_GLYPHS = { K: '♔', Q: '♕', R: '♖', B: '♗', N: '♘', P: '♙' };
+const PIECE_SET_OPTIONS = [
+    { value: 'glyphs', label: 'Solid glyphs' },
+    { value: 'outline', label: 'Outline glyphs (print friendly)' },
+    { value: 'letters', label: 'Letters' },
+];
+const BOARD_THEMES = {
+    brown: { light: '#f0d9b5', dark: '#b58863' },
+    green: { light: '#eeeed2', dark: '#769656' },
+    blue: { light: '#dee3e6', dark: '#8ca2ad' },
+    gray: { light: '#e0e0e0', dark: '#a0a0a0' },
+};
+// SVG markup for a position; `lastMove` squares are highlighted
+function renderBoardSvg(position, opts) {
+    const size = opts?.size || 360;
+    const cell = size / 8;
+    const flipped = opts?.orientation === 'black';
+    const light = opts?.lightColor || '#f0d9b5';
+    const dark = opts?.darkColor || '#b58863';
+    const highlight = new Set(opts?.lastMove ? [opts.lastMove.from, opts.lastMove.to] : []);
+    const parts = [`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${size}" height="${size}">`];
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            const file = flipped ? 7 - col : col;
+            const rank = flipped ? row : 7 - row;
+            const sq = squareAt(file, rank);
+            const x = col * cell;
+            const y = row * cell;
+            const isLight = (file + rank) % 2 === 1;
+            parts.push(`<rect x="${x}" y="${y}" width="${cell}" height="${cell}" fill="${isLight ? light : dark}"/>`);
+            if (highlight.has(sq))
+                parts.push(`<rect x="${x}" y="${y}" width="${cell}" height="${cell}" fill="rgba(255, 221, 0, 0.45)"/>`);
+            const p = position.board[sq];
+            if (p) {
+                const white = pieceColor(p) === 'w';
+                const textAt = `x="${x + cell / 2}" y="${y + cell / 2}" text-anchor="middle" dominant-baseline="central"`;
+                if (opts?.pieceSet === 'letters')
+                    parts.push(`<text ${textAt} font-size="${cell * 0.6}" font-family="sans-serif" font-weight="bold" fill="${white ? '#ffffff' : '#000000'}" stroke="${white ? '#000000' : 'none'}" stroke-width="${white ? cell / 50 : 0}">${p.toUpperCase()}</text>`);
+                else if (opts?.pieceSet === 'outline')
+                    parts.push(`<text ${textAt} font-size="${cell * 0.8}" fill="#000000">${(white ? OUTLINE_PIECE_GLYPHS : PIECE_GLYPHS)[p.toUpperCase()]}\uFE0E</text>`);
+                else
+                    parts.push(`<text ${textAt} font-size="${cell * 0.8}" fill="${white ? '#ffffff' : '#000000'}" stroke="${white ? '#000000' : 'none'}" stroke-width="${white ? cell / 40 : 0}">${PIECE_GLYPHS[p.toUpperCase()]}\uFE0E</text>`);
+            }
+            // Coordinates along the left and bottom edges
+            const labelColor = isLight ? dark : light;
+            if (col === 0)
+                parts.push(`<text x="${x + 2}" y="${y + cell * 0.2}" font-size="${cell * 0.2}" fill="${labelColor}">${rank + 1}</text>`);
+            if (row === 7)
+                parts.push(`<text x="${x + cell - 2}" y="${y + cell - 3}" font-size="${cell * 0.2}" text-anchor="end" fill="${labelColor}">${BOARD_FILES[file]}</text>`);
+        }
+    }
+    parts.push('</svg>');
+    return parts.join('');
+}
+const PGN_RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+// Traditional move suffixes mapped to their NAG numbers
+const PGN_SUFFIX_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+// Tokenize and parse a PGN: headers, and the mainline as move nodes carrying their comments,
+// NAGs and (recursively) variations. Unknown tokens are skipped rather than fatal.
+function parsePgn(pgn) {
+    const src = pgn || '';
+    const headers = {};
+    const mainline = [];
+    const gameComments = [];
+    const stack = [mainline];
+    let result = '';
+    let i = 0;
+    const lastMove = () => {
+        const list = stack[stack.length - 1];
+        return list[list.length - 1] || null;
+    };
+    const addComment = (text) => {
+        const move = lastMove();
+        if (move)
+            move.comments.push(text);
+        else if (stack.length === 1)
+            gameComments.push(text);
+    };
+    while (i < src.length) {
+        const ch = src[i];
+        if (/\s/.test(ch)) {
+            i++;
+        }
+        else if (ch === '%' && (i === 0 || src[i - 1] === '\n')) {
+            // Escape line
+            while (i < src.length && src[i] !== '\n')
+                i++;
+        }
+        else if (ch === ';') {
+            const end = src.indexOf('\n', i);
+            const stop = end < 0 ? src.length : end;
+            addComment(src.slice(i + 1, stop).trim());
+            i = stop;
+        }
+        else if (ch === '[') {
+            const m = src.slice(i).match(/^\[\s*([A-Za-z0-9_]+)\s+"((?:[^"\\]|\\.)*)"\s*\]/);
+            if (m) {
+                headers[m[1]] = m[2].replace(/\\(.)/g, '$1');
+                i += m[0].length;
+            }
+            else {
+                i++;
+            }
+        }
+        else if (ch === '{') {
+            // Braces inside a comment nest instead of ending it
+            let depth = 1;
+            let j = i + 1;
+            while (j < src.length && depth > 0) {
+                if (src[j] === '{')
+                    depth++;
+                else if (src[j] === '}')
+                    depth--;
+                j++;
+            }
+            addComment(src.slice(i + 1, depth === 0 ? j - 1 : j).trim());
+            i = j;
+        }
+        else if (ch === '(') {
+            // A variation replaces the move just played
+            const move = lastMove();
+            const variation = [];
+            if (move)
+                move.variations.push(variation);
+            stack.push(variation);
+            i++;
+        }
+        else if (ch === ')') {
+            if (stack.length > 1)
+                stack.pop();
+            i++;
+        }
+        else {
+            let j = i;
+            while (j < src.length && !/[\s{}();[\]]/.test(src[j]))
+                j++;
+            // Stray closing brackets
+            if (j === i) {
+                i++;
+                continue;
+            }
+            let token = src.slice(i, j);
+            i = j;
+            if (PGN_RESULTS.includes(token)) {
+                if (stack.length === 1)
+                    result = token;
+                continue;
+            }
+            // Move numbers, possibly glued to the move ("12.e4", "12...e5")
+            token = token.replace(/^\d+\.+/, '');
+            if (!token)
+                continue;
+            const move = lastMove();
+            if (/^\$\d+$/.test(token)) {
+                if (move)
+                    move.nags.push(Number(token.slice(1)));
+                continue;
+            }
+            if (token in PGN_SUFFIX_NAGS) {
+                if (move)
+                    move.nags.push(PGN_SUFFIX_NAGS[token]);
+                continue;
+            }
+            const suffix = token.match(/[!?]+$/);
+            const node = { san: suffix ? token.slice(0, -suffix[0].length) : token, comments: [], nags: [], variations: [] };
+            if (suffix && suffix[0] in PGN_SUFFIX_NAGS)
+                node.nags.push(PGN_SUFFIX_NAGS[suffix[0]]);
+            stack[stack.length - 1].push(node);
+        }
+    }
+    return { headers, mainline, gameComments, result: result || headers.Result || '' };
+}
+// Parse a PGN and replay its mainline; `fenAt(ply)` gives the position after any ply
+function loadPgn(pgn, startFen) {
+    const parsed = parsePgn(pgn);
+    const sans = parsed.mainline.map((m) => m.san);
+    let replay;
+    try {
+        replay = replaySanMoves(sans, startFen || parsed.headers.FEN);
+    }
+    catch (e) {
+        replay = { positions: [], moves: [], error: e.message };
+    }
+    return Object.assign(parsed, {
+        sans,
+        replay,
+        fenAt: (ply) => replay.positions[Math.max(0, Math.min(replay.positions.length - 1, ply))]?.toFen() || '',
+    });
+}
+function countFullMovesFromPgn(pgn) {
+    if (!pgn)
+        return 'N/A';
+    const ply = parsePgn(pgn).mainline.length;
+    const fullMoves = Math.max(1, Math.ceil(ply / 2));
+    return String(fullMoves);
+}
+// "180+2" -> "3+2", "1/259200" -> "3 days/move"
+function formatTimeControl(tc) {
+    if (!tc || tc === '-' || tc === '?')
+        return '';
+    const daily = tc.match(/^1\/(\d+)$/);
+    if (daily) {
+        const days = Math.max(1, Math.round(Number(daily[1]) / 86400));
+        return days === 1 ? '1 day/move' : `${days} days/move`;
+    }
+    const m = tc.match(/^(\d+)(?:\+(\d+))?$/);
+    if (!m)
+        return tc;
+    const base = Number(m[1]);
+    const fractions = { 15: '¼', 30: '½', 45: '¾' };
+    const minutes = fractions[base] || (base % 60 === 0 ? String(base / 60) : (base / 60).toFixed(1));
+    return `${minutes}+${m[2] || 0}`;
+}
+// Seconds from a move's [%clk h:mm:ss(.f)] comment, or null
+function moveClock(move) {
+    for (const c of move.comments) {
+        const m = c.match(/\[%clk\s+(\d+):(\d+):(\d+(?:\.\d+)?)\]/);
+        if (m)
+            return Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]);
+    }
+    return null;
+}
+function formatClock(seconds) {
+    const total = Math.max(0, seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    const sec = total < 10 && s % 1 ? s.toFixed(1).padStart(4, '0') : zeroPad(Math.floor(s));
+    return h ? `${h}:${zeroPad(m)}:${sec}` : `${m}:${sec}`;
+}
+function formatSeconds(seconds) {
+    return seconds < 10 && seconds % 1 ? `${seconds.toFixed(1)}s` : `${Math.round(seconds)}s`;
+}
+const SPARK_BARS = '▁▂▃▄▅▆▇█';
+// Clock usage from %clk annotations, seen from the focus player's side
+const TIME_TROUBLE_SECONDS = 10;
+function analyzeClocks(pgnGame, focusColor) {
+    const tc = (pgnGame.headers.TimeControl || '').match(/^(\d+)(?:\+(\d+))?$/);
+    const base = tc ? Number(tc[1]) : null;
+    const increment = tc ? Number(tc[2] || 0) : 0;
+    const lastClock = { white: base, black: base };
+    const firstColor = pgnGame.replay.moves[0]?.color === 'b' ? 'black' : 'white';
+    const focus = [];
+    const remaining = { white: null, black: null };
+    pgnGame.mainline.forEach((move, i) => {
+        const color = (i % 2 === 0) === (firstColor === 'white') ? 'white' : 'black';
+        const clock = moveClock(move);
+        if (clock == null)
+            return;
+        const prev = lastClock[color];
+        lastClock[color] = clock;
+        remaining[color] = clock;
+        if (color !== focusColor)
+            return;
+        const spent = prev == null ? null : Math.max(0, prev - clock + increment);
+        focus.push({ moveNumber: pgnGame.replay.positions[i]?.fullmove ?? Math.floor(i / 2) + 1, clock, spent });
+    });
+    const vars = {
+        focus_time_left: remaining[focusColor] != null ? formatClock(remaining[focusColor]) : '',
+        foe_time_left: remaining[focusColor === 'white' ? 'black' : 'white'] != null ? formatClock(remaining[focusColor === 'white' ? 'black' : 'white']) : '',
+        focus_avg_move_time: '',
+        longest_think: '',
+        longest_think_move: '',
+        longest_think_seconds: '',
+        time_trouble_moves: '',
+        clock_sparkline: '',
+    };
+    if (focus.length === 0)
+        return vars;
+    const timed = focus.filter((f) => f.spent != null);
+    if (timed.length) {
+        vars.focus_avg_move_time = formatSeconds(timed.reduce((sum, f) => sum + f.spent, 0) / timed.length);
+        const longest = timed.reduce((a, b) => (b.spent > a.spent ? b : a));
+        vars.longest_think = `move ${longest.moveNumber} (${formatSeconds(longest.spent)})`;
+        vars.longest_think_move = String(longest.moveNumber);
+        vars.longest_think_seconds = String(Math.round(longest.spent));
+    }
+    vars.time_trouble_moves = String(focus.filter((f) => f.clock < TIME_TROUBLE_SECONDS).length);
+    const max = Math.max(...focus.map((f) => f.clock), 1);
+    vars.clock_sparkline = focus.map((f) => SPARK_BARS[Math.min(SPARK_BARS.length - 1, Math.floor((f.clock / max) * (SPARK_BARS.length - 1)))]).join('');
+    return vars;
+}
+// Centipawn loss of a move that makes it an inaccuracy, a mistake or a blunder
+const ANALYSIS_THRESHOLDS = [
+    { key: 'blunders', min: 300, nag: '??', label: 'Blunder' },
+    { key: 'mistakes', min: 100, nag: '?', label: 'Mistake' },
+    { key: 'inaccuracies', min: 50, nag: '?!', label: 'Inaccuracy' },
+];
+// Evaluations are clamped so a missed mate doesn't swamp the average loss
+const EVAL_CAP = 1000;
+const ANALYSIS_TEMPLATE_KEYS = ['focus_accuracy', 'blunders', 'mistakes', 'inaccuracies', 'biggest_blunder', 'annotated_pgn'];
+// Minimal UCI client. The engine is either a local binary (desktop only) or a stockfish.js build
+// in the vault running in a Web Worker; both run outside the editor's thread.
+class UciEngine {
+    constructor(send, close) {
+        this.send = send;
+        this.close = close;
+        this.listeners = [];
+        this.buffer = '';
+        this.error = null;
+    }
+    static async open(app, path) {
+        let engine;
+        if (/\.js$/i.test(path)) {
+            // The worker itself has to come from a Blob URL (same origin), so it loads the engine from the
+            // vault and points Emscripten's file lookups (e.g. a .wasm next to the script) at the engine's folder
+            const script = app.vault.adapter.getResourcePath((0, obsidian_1.normalizePath)(path));
+            const folder = script.replace(/[?#].*$/, '').replace(/[^/]*$/, '');
+            const source = `self.Module = { locateFile: (file) => ${JSON.stringify(folder)} + file };\nimportScripts(${JSON.stringify(script)});\n`;
+            const url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+            const worker = new Worker(url);
+            engine = new UciEngine((cmd) => worker.postMessage(cmd), () => {
+                worker.terminate();
+                URL.revokeObjectURL(url);
+            });
+            worker.onmessage = (e) => engine.receive(`${e.data}\n`);
+            worker.onerror = (e) => engine.fail(new Error(e.message || 'Engine worker failed'));
+        }
+        else {
+            if (!obsidian_1.Platform.isDesktopApp)
+                throw new Error('Engine binaries only run on desktop; use a stockfish.js file from your vault instead.');
+            const { spawn } = require('child_process');
+            const proc = spawn(path, [], { stdio: 'pipe', windowsHide: true });
+            engine = new UciEngine((cmd) => proc.stdin.write(`${cmd}\n`), () => proc.kill());
+            proc.stdout.on('data', (chunk) => engine.receive(chunk.toString()));
+            proc.on('error', (e) => engine.fail(e));
+            // Writing to an engine that already exited fails with EPIPE
+            proc.stdin.on('error', (e) => {
+                engine.fail(e);
+                proc.kill();
+            });
+            proc.on('exit', () => engine.fail(new Error('Engine exited')));
+        }
+        try {
+            // A large stockfish.js build can take a while to compile
+            await engine.command('uci', (line) => line === 'uciok', 30000);
+            await engine.command('isready', (line) => line === 'readyok');
+        }
+        catch (e) {
+            engine.quit();
+            throw e;
+        }
+        return engine;
+    }
+    receive(text) {
+        const lines = (this.buffer + text).split(/\r?\n/);
+        this.buffer = lines.pop();
+        for (const line of lines) {
+            for (const listener of this.listeners.slice())
+                listener.line(line.trim());
+        }
+    }
+    fail(error) {
+        if (this.error)
+            return;
+        this.error = error;
+        for (const listener of this.listeners.slice())
+            listener.fail(error);
+    }
+    // Send a command and collect the output up to the line `done` accepts
+    command(cmd, done, timeoutMs = 10000) {
+        return new Promise((resolve, reject) => {
+            if (this.error)
+                return reject(this.error);
+            const lines = [];
+            const finish = (error) => {
+                clearTimeout(timer);
+                this.listeners = this.listeners.filter((l) => l !== listener);
+                if (error)
+                    reject(error);
+                else
+                    resolve(lines);
+            };
+            const listener = {
+                line: (line) => {
+                    lines.push(line);
+                    if (done(line))
+                        finish(null);
+                },
+                fail: finish,
+            };
+            const timer = setTimeout(() => finish(new Error(`Engine did not answer "${cmd}"`)), timeoutMs);
+            this.listeners.push(listener);
+            this.send(cmd);
+        });
+    }
+    // Score of a position from White's side, stopping at whichever of depth or time comes first
+    async evaluate(position, depth, movetime) {
+        this.send(`position fen ${position.toFen()}`);
+        const lines = await this.command(`go depth ${depth} movetime ${movetime}`, (line) => line.startsWith('bestmove'), movetime + 10000);
+        const sign = position.turn === 'w' ? 1 : -1;
+        const best = lines[lines.length - 1].split(/\s+/)[1];
+        let score = null;
+        for (const line of lines) {
+            const m = line.match(/\bscore (cp|mate) (-?\d+)/);
+            if (m && !/\b(lower|upper)bound\b/.test(line))
+                score = { type: m[1], value: Number(m[2]) };
+        }
+        if (!score || (score.type === 'mate' && score.value === 0)) {
+            // No legal moves: mated, or stalemate
+            const mated = position.inCheck(position.turn);
+            return { cp: mated ? -sign * EVAL_CAP : 0, mate: mated ? 0 : null, best: null };
+        }
+        if (score.type === 'mate')
+            return { cp: sign * Math.sign(score.value) * EVAL_CAP, mate: sign * score.value, best };
+        return { cp: sign * Math.max(-EVAL_CAP, Math.min(EVAL_CAP, score.value)), mate: null, best };
+    }
+    quit() {
+        try {
+            this.send('quit');
+        }
+        catch (e) {
+            // Already gone
+        }
+        this.close();
+    }
+}
+// Evaluate every position of a replayed game and grade each move by the evaluation it gave away
+async function analyzeGame(engine, replay, opts) {
+    const evals = [];
+    for (let i = 0; i < replay.positions.length; i++) {
+        opts.onProgress?.(i, replay.positions.length);
+        evals.push(await engine.evaluate(replay.positions[i], opts.depth, opts.movetime));
+    }
+    const moves = replay.moves.map((move, i) => {
+        const sign = move.color === 'w' ? 1 : -1;
+        const loss = Math.max(0, sign * (evals[i].cp - evals[i + 1].cp));
+        const grade = ANALYSIS_THRESHOLDS.find((t) => loss >= t.min) || null;
+        let best = '';
+        if (grade && evals[i].best) {
+            try {
+                const uci = evals[i].best;
+                best = replay.positions[i].sanOf(parseSquare(uci.slice(0, 2)), parseSquare(uci.slice(2, 4)), uci[4]);
+            }
+            catch (e) {
+                best = evals[i].best;
+            }
+        }
+        return { san: move.san, color: move.color, moveNumber: replay.positions[i].fullmove, loss, grade, best };
+    });
+    return { evals, moves };
+}
+// "+0.35", "-2.10", "#3", "#-2"
+function formatEval(ev) {
+    if (ev.mate != null)
+        return ev.mate === 0 ? '#' : `#${ev.mate}`;
+    return `${ev.cp >= 0 ? '+' : ''}${(ev.cp / 100).toFixed(2)}`;
+}
+// PGN with `[%eval]` comments after every move and `?!` / `?` / `??` on the weak ones
+function formatAnnotatedPgn(pgnGame, analysis) {
+    const headers = Object.entries(pgnGame.headers).map(([k, v]) => `[${k} "${v}"]`);
+    const tokens = [];
+    analysis.moves.forEach((move, i) => {
+        if (move.color === 'w')
+            tokens.push(`${move.moveNumber}.`);
+        else if (i === 0)
+            tokens.push(`${move.moveNumber}...`);
+        tokens.push(move.san.replace(/[!?]+$/, '') + (move.grade ? move.grade.nag : ''));
+        const ev = analysis.evals[i + 1];
+        const note = move.grade ? ` ${move.grade.label}.${move.best ? ` ${move.best} was best.` : ''}` : '';
+        tokens.push(`{ [%eval ${ev.mate != null ? `#${ev.mate}` : (ev.cp / 100).toFixed(2)}]${note} }`);
+        // Black's reply after a comment needs its number repeated
+        if (move.color === 'w' && analysis.moves[i + 1])
+            tokens.push(`${move.moveNumber}...`);
+    });
+    tokens.push(pgnGame.headers.Result || '*');
+    return `${headers.join('\n')}\n\n${tokens.join(' ')}`;
+}
+function buildAnalysisVars(pgnGame, analysis, focusColor) {
+    const mine = analysis.moves.filter((m) => m.color === focusColor[0]);
+    const vars = {
+        focus_accuracy: mine.length ? String(Math.round(mine.reduce((sum, m) => sum + m.loss, 0) / mine.length)) : '',
+        biggest_blunder: '',
+        annotated_pgn: formatAnnotatedPgn(pgnGame, analysis),
+    };
+    for (const t of ANALYSIS_THRESHOLDS)
+        vars[t.key] = String(mine.filter((m) => m.grade === t).length);
+    const worst = mine.filter((m) => m.grade).sort((a, b) => b.loss - a.loss)[0];
+    if (worst) {
+        const i = analysis.moves.indexOf(worst);
+        const swing = `${formatEval(analysis.evals[i])} → ${formatEval(analysis.evals[i + 1])}`;
+        vars.biggest_blunder = `${worst.moveNumber}${worst.color === 'w' ? '.' : '...'} ${worst.san}${worst.grade.nag} (${swing}${worst.best ? `, best ${worst.best}` : ''})`;
+    }
+    return vars;
+}
+// Opening name from the PGN headers, or from Chess.com's opening URL
+function openingName(headers, ecoUrl) {
+    if (headers.Opening)
+        return headers.Opening;
+    const url = headers.ECOUrl || ecoUrl || '';
+    const m = url.match(/\/openings\/([^?#]+)/);
+    if (!m)
+        return '';
+    try {
+        return decodeURIComponent(m[1]).replace(/-/g, ' ').trim();
+    }
+    catch {
+        return m[1].replace(/-/g, ' ').trim();
+    }
+}
+// Request layer: every API call goes through `httpRequest`, which adds a timeout, retries rate limits
+// and outages with backoff, and shares identical requests that are already in flight.
+const REQUEST_TIMEOUT_MS = 20000;
+const REQUEST_RETRIES = 3;
+const RETRY_BASE_MS = 1000;
+// Longer Retry-After waits are reported to the user instead of sat out
+const MAX_RETRY_AFTER_SECONDS = 60;
+const inFlight = new Map();
+class LastChessError extends Error {
+    constructor(message, props) {
+        super(message);
+        this.name = new.target.name;
+        Object.assign(this, props);
+    }
+}
+class HttpError extends LastChessError {
+}
+class UserNotFoundError extends LastChessError {
+}
+class UserClosedError extends LastChessError {
+}
+class NoGamesError extends LastChessError {
+}
+class OfflineError extends LastChessError {
+}
+class RateLimitError extends LastChessError {
+}
+class RequestTimeoutError extends LastChessError {
+}
+function withTimeout(promise, ms, url) {
+    let timer;
+    const timeout = new Promise((_resolve, reject) => {
+        timer = setTimeout(() => reject(new RequestTimeoutError(`No response from ${url} within ${ms / 1000}s`, { url })), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+// Seconds to wait from a Retry-After header (seconds or an HTTP date), or null
+function retryAfterSeconds(res) {
+    const value = responseHeader(res, 'retry-after');
+    if (!value)
+        return null;
+    const seconds = /^\d+$/.test(value.trim()) ? Number(value) : (Date.parse(value) - Date.now()) / 1000;
+    return Number.isFinite(seconds) ? Math.max(0, Math.ceil(seconds)) : null;
+}
+// GET a URL and return the response whatever its status; only 429 and 5xx are retried.
+// Throws OfflineError, RequestTimeoutError or RateLimitError when retries run out.
+// `opts`: `headers`, `retry: false` for a single attempt, `timeoutMs` per attempt.
+function httpRequest(url, opts) {
+    // Only identical requests are shared: a single-attempt call must not ride on a retrying one
+    const key = JSON.stringify([url, opts?.headers || {}, opts?.retry !== false, requestTimeout(opts)]);
+    if (!inFlight.has(key)) {
+        const promise = sendWithRetries(url, opts).finally(() => inFlight.delete(key));
+        inFlight.set(key, promise);
+    }
+    return inFlight.get(key);
+}
+function requestTimeout(opts) {
+    return opts?.timeoutMs || REQUEST_TIMEOUT_MS;
+}
+async function sendWithRetries(url, opts) {
+    const retries = opts?.retry === false ? 0 : REQUEST_RETRIES;
+    const timeoutMs = requestTimeout(opts);
+    for (let attempt = 0;; attempt++) {
+        let res = null;
+        let failure = null;
+        if (typeof navigator !== 'undefined' && navigator.onLine === false)
+            throw new OfflineError(`Offline; could not fetch ${url}`, { url });
+        try {
+            res = await withTimeout((0, obsidian_1.requestUrl)({ url, method: 'GET', headers: opts?.headers, throw: false }), timeoutMs, url);
+        }
+        catch (e) {
+            failure = e;
+        }
+        const retryable = failure || res.status === 429 || res.status >= 500;
+        if (!retryable)
+            return res;
+        const waitSeconds = res ? retryAfterSeconds(res) : null;
+        if (attempt >= retries || (waitSeconds != null && waitSeconds > MAX_RETRY_AFTER_SECONDS)) {
+            if (failure instanceof RequestTimeoutError)
+                throw failure;
+            if (failure)
+                throw new OfflineError(`Could not reach ${url}: ${failure.message || failure}`, { url, cause: failure });
+            if (res.status === 429)
+                throw new RateLimitError(`Rate limited by ${url}`, { url, status: 429, retryAfter: waitSeconds });
+            return res;
+        }
+        // Exponential backoff with a little jitter, unless the server said how long to wait
+        await sleep(waitSeconds != null ? waitSeconds * 1000 : RETRY_BASE_MS * 2 ** attempt + Math.random() * 250);
+    }
+}
+// The player a Chess.com or Lichess API URL is about, if any
+function userOfUrl(url) {
+    const m = url.match(/\/pub\/player\/([^/?#]+)/) || url.match(/lichess\.org\/api\/(?:games\/)?user\/([^/?#]+)/);
+    return m ? decodeURIComponent(m[1]) : null;
+}
+// Typed error for a non-200 response
+function responseError(res, url) {
+    const user = userOfUrl(url);
+    // Chess.com answers 404 for unknown players and 410 for some removed ones
+    if (user && (res.status === 404 || res.status === 410))
+        return new UserNotFoundError(`User ${user} not found`, { url, status: res.status, username: user });
+    return new HttpError(`HTTP ${res.status} for ${url}`, { url, status: res.status });
+}
+async function fetchJson(url, headers) {
+    const res = await httpRequest(url, { headers });
+    if (res.status !== 200) {
+        throw responseError(res, url);
+    }
+    return res.json;
+}
+// Lichess streams game exports as newline-delimited JSON
+async function fetchNdjson(url) {
+    const res = await httpRequest(url, { headers: { Accept: 'application/x-ndjson' } });
+    if (res.status !== 200) {
+        throw responseError(res, url);
+    }
+    return (res.text || '').split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+}
+// Notice text for a failed fetch, as specific as the error allows; `fallback` for anything else
+function describeError(e, provider, fallback) {
+    const site = provider?.label || 'the server';
+    if (e instanceof UserNotFoundError)
+        return `${site} has no player named "${e.username}". Check the spelling.`;
+    if (e instanceof UserClosedError)
+        return `The ${site} account "${e.username}" is closed${e.reason ? ` (${e.reason})` : ''}.`;
+    if (e instanceof NoGamesError)
+        return e.timeClass ? `${e.username} has no recent ${e.timeClass} games on ${site}.` : `${e.username} has no recent games on ${site}.`;
+    if (e instanceof OfflineError)
+        return `Could not reach ${site}. Check your internet connection.`;
+    if (e instanceof RateLimitError)
+        return e.retryAfter ? `${site} is rate limiting requests. Try again in ${e.retryAfter} seconds.` : `${site} is rate limiting requests. Try again in a minute.`;
+    if (e instanceof RequestTimeoutError)
+        return `${site} did not respond in time. Try again later.`;
+    if (e instanceof HttpError && e.status >= 500)
+        return `${site} is having problems (HTTP ${e.status}). Try again later.`;
+    return fallback || `Failed to fetch from ${site}. See console for details.`;
+}
+// Pick a random titled player from the provider's leaderboards
+async function pickRandomTitledUser(provider) {
+    try {
+        const data = await fetchJson(provider.leaderboardsUrl);
+        const buckets = [];
+        for (const key of Object.keys(data || {})) {
+            const arr = data[key];
+            if (Array.isArray(arr))
+                buckets.push(arr);
+        }
+        const usernames = [];
+        for (const arr of buckets) {
+            for (const item of arr) {
+                const u = (item && (item.username || item.player || item.url || ''));
+                const title = (item && (item.title || item.tier || item.titled));
                 // Prefer entries that explicitly carry a title field; otherwise include all usernames
                 if (u) {
                     // If it's a URL like https://www.chess.com/member/xxx extract username
@@ -345,449 +2263,3195 @@ async function pickRandomTitledUser() {
                 }
             }
         }
-        // Fallback: if we found no titled-specific entries, try any usernames present
-        if (usernames.length === 0) {
-            for (const arr of buckets) {
-                for (const item of arr) {
-                    const u = (item && (item.username || item.player || item.url || ''));
-                    if (u) {
-                        const m = typeof u === 'string' ? u.match(/\/member\/([^\/?#]+)/i) : null;
-                        const username = m ? decodeURIComponent(m[1]) : u;
-                        usernames.push(username);
-                    }
+        // Fallback: if we found no titled-specific entries, try any usernames present
+        if (usernames.length === 0) {
+            for (const arr of buckets) {
+                for (const item of arr) {
+                    const u = (item && (item.username || item.player || item.url || ''));
+                    if (u) {
+                        const m = typeof u === 'string' ? u.match(/\/member\/([^\/?#]+)/i) : null;
+                        const username = m ? decodeURIComponent(m[1]) : u;
+                        usernames.push(username);
+                    }
+                }
+            }
+        }
+        if (usernames.length === 0)
+            return null;
+        const pick = usernames[Math.floor(Math.random() * usernames.length)];
+        return pick;
+    }
+    catch {
+        return null;
+    }
+}
+// Which side the (normalized) username played in a game, or null if neither
+function colorOfUser(game, u) {
+    if (normalizeUsername(game?.white?.username) === u)
+        return 'white';
+    if (normalizeUsername(game?.black?.username) === u)
+        return 'black';
+    return null;
+}
+// Whether a game ended inside [since, until) (unix seconds; either bound optional)
+function endedInRange(game, since, until) {
+    const end = game.end_time || 0;
+    if (since != null && end < since)
+        return false;
+    if (until != null && end >= until)
+        return false;
+    return true;
+}
+// Chess.com archive URLs end in /YYYY/MM; months are in UTC
+function archiveMonthBounds(archiveUrl) {
+    const m = archiveUrl.match(/\/(\d{4})\/(\d{2})\/?$/);
+    if (!m)
+        return null;
+    return {
+        start: Date.UTC(Number(m[1]), Number(m[2]) - 1, 1) / 1000,
+        end: Date.UTC(Number(m[1]), Number(m[2]), 1) / 1000,
+    };
+}
+function archiveOverlaps(archiveUrl, since, until) {
+    const bounds = archiveMonthBounds(archiveUrl);
+    if (!bounds)
+        return true;
+    if (since != null && bounds.end <= since)
+        return false;
+    if (until != null && bounds.start >= until)
+        return false;
+    return true;
+}
+// A month's archive is final once it has been fetched this long after the month ended
+const ARCHIVE_SETTLE_SECONDS = 24 * 3600;
+// Lookups during a single insert hit the same URLs; don't revalidate them again within this window
+const CACHE_REVALIDATE_SECONDS = 60;
+// Archives kept in memory besides the on-disk copy; a bulk import would otherwise hold every month
+const CACHE_MEMORY_ENTRIES = 8;
+function responseHeader(res, name) {
+    const headers = res.headers || {};
+    const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+    return key ? headers[key] : undefined;
+}
+// Persistent cache of Chess.com archive responses in the plugin folder.
+// Finished months are served from disk; everything else is revalidated with ETag/Last-Modified,
+// and cached copies are used when Chess.com is unreachable.
+class ArchiveCache {
+    constructor(adapter, dir) {
+        this.adapter = adapter;
+        this.dir = dir;
+        this.enabled = true;
+        this.memory = new Map();
+    }
+    pathFor(url) {
+        return `${this.dir}/${url.replace(/^https?:\/\//, '').replace(/[^a-z0-9]+/gi, '_')}.json`;
+    }
+    // Keep an entry in memory as the most recently used, dropping the least recently used past the limit
+    remember(url, entry) {
+        this.memory.delete(url);
+        this.memory.set(url, entry);
+        while (this.memory.size > CACHE_MEMORY_ENTRIES)
+            this.memory.delete(this.memory.keys().next().value);
+    }
+    async read(url) {
+        if (this.memory.has(url)) {
+            const entry = this.memory.get(url);
+            this.remember(url, entry);
+            return entry;
+        }
+        try {
+            const path = this.pathFor(url);
+            if (!(await this.adapter.exists(path)))
+                return null;
+            const entry = JSON.parse(await this.adapter.read(path));
+            this.remember(url, entry);
+            return entry;
+        }
+        catch (e) {
+            console.warn('[LastChess] Ignoring unreadable cache entry', url, e);
+            return null;
+        }
+    }
+    async write(url, entry) {
+        this.remember(url, entry);
+        try {
+            if (!(await this.adapter.exists(this.dir)))
+                await this.adapter.mkdir(this.dir);
+            const { checkedAt, ...persisted } = entry;
+            await this.adapter.write(this.pathFor(url), JSON.stringify(persisted));
+        }
+        catch (e) {
+            console.warn('[LastChess] Failed to write cache entry', url, e);
+        }
+    }
+    // `immutableAfter`: unix time after which a fetched copy can never change
+    async getJson(url, opts) {
+        if (!this.enabled)
+            return fetchJson(url);
+        const now = Math.floor(Date.now() / 1000);
+        const cached = await this.read(url);
+        if (cached) {
+            if (opts?.immutableAfter != null && cached.fetchedAt >= opts.immutableAfter)
+                return cached.data;
+            if (cached.checkedAt && now - cached.checkedAt < CACHE_REVALIDATE_SECONDS)
+                return cached.data;
+        }
+        const headers = {};
+        if (cached?.etag)
+            headers['If-None-Match'] = cached.etag;
+        if (cached?.lastModified)
+            headers['If-Modified-Since'] = cached.lastModified;
+        let res;
+        try {
+            // With a copy to fall back on, don't sit out backoffs
+            res = await httpRequest(url, { headers, retry: !cached });
+        }
+        catch (e) {
+            if (cached) {
+                console.warn('[LastChess] Request failed, using cached copy', url, e);
+                cached.checkedAt = now;
+                return cached.data;
+            }
+            throw e;
+        }
+        if (res.status === 304 && cached) {
+            cached.checkedAt = now;
+            return cached.data;
+        }
+        if (res.status !== 200) {
+            // Rate limits and outages fall back to whatever we already have
+            if (cached && (res.status === 429 || res.status >= 500)) {
+                cached.checkedAt = now;
+                return cached.data;
+            }
+            throw responseError(res, url);
+        }
+        const entry = {
+            etag: responseHeader(res, 'etag'),
+            lastModified: responseHeader(res, 'last-modified'),
+            fetchedAt: now,
+            checkedAt: now,
+            data: res.json,
+        };
+        await this.write(url, entry);
+        return entry.data;
+    }
+    async clear() {
+        this.memory.clear();
+        if (await this.adapter.exists(this.dir))
+            await this.adapter.rmdir(this.dir, true);
+    }
+}
+// Chess.com: monthly archives from the public API
+class ChessComProvider {
+    constructor(cache) {
+        this.cache = cache;
+        this.id = 'chesscom';
+        this.label = 'Chess.com';
+        this.leaderboardsUrl = 'https://api.chess.com/pub/leaderboards';
+    }
+    async fetchArchiveIndex(u) {
+        const indexUrl = `https://api.chess.com/pub/player/${encodeURIComponent(u)}/games/archives`;
+        const idx = this.cache ? await this.cache.getJson(indexUrl) : await fetchJson(indexUrl);
+        return idx.archives || [];
+    }
+    async fetchArchiveMonth(archiveUrl) {
+        if (!this.cache)
+            return fetchJson(archiveUrl);
+        const bounds = archiveMonthBounds(archiveUrl);
+        return this.cache.getJson(archiveUrl, { immutableAfter: bounds ? bounds.end + ARCHIVE_SETTLE_SECONDS : undefined });
+    }
+    async getLastGame(username, opts) {
+        const u = normalizeUsername(username);
+        if (!u)
+            return null;
+        const archives = await this.fetchArchiveIndex(u);
+        if (archives.length === 0)
+            return null;
+        // Iterate from latest archive backwards until we find a matching game
+        for (let i = archives.length - 1; i >= 0; i--) {
+            const month = await this.fetchArchiveMonth(archives[i]);
+            const games = month.games || [];
+            if (games.length === 0)
+                continue;
+            // Choose candidate set: if filtering by time class, prefilter
+            const candidates = opts?.timeClass
+                ? games.filter((g) => g.time_class?.toLowerCase() === opts.timeClass)
+                : games;
+            if (candidates.length === 0)
+                continue;
+            // Pick most recent by end_time
+            let latest = candidates[candidates.length - 1];
+            for (const g of candidates) {
+                if (!latest?.end_time || (g.end_time && g.end_time > latest.end_time)) {
+                    latest = g;
+                }
+            }
+            if (!latest)
+                continue;
+            const meColor = colorOfUser(latest, u);
+            if (!meColor)
+                continue;
+            return { game: latest, meColor, meUsername: username };
+        }
+        return null;
+    }
+    // Find the previous game (same time class) that ended before a given end_time
+    async getPreviousGame(username, game, beforeEndTime) {
+        const u = normalizeUsername(username);
+        const timeClass = (game.time_class || '').toLowerCase();
+        if (!u)
+            return null;
+        const archives = await this.fetchArchiveIndex(u);
+        if (archives.length === 0)
+            return null;
+        // iterate from latest to oldest
+        for (let i = archives.length - 1; i >= 0; i--) {
+            const month = await this.fetchArchiveMonth(archives[i]);
+            const games = month.games || [];
+            const candidates = games.filter((g) => (g.time_class?.toLowerCase() === timeClass) && (g.end_time || 0) < beforeEndTime);
+            if (candidates.length === 0)
+                continue;
+            // pick latest before cutoff
+            let latest = undefined;
+            for (const g of candidates) {
+                if (!latest || ((g.end_time || 0) > (latest.end_time || 0))) {
+                    latest = g;
+                }
+            }
+            if (latest)
+                return latest;
+        }
+        return null;
+    }
+    // The public API has no game lookup, so search the player's archives for the URL
+    async getGameByUrl(url, username) {
+        const u = normalizeUsername(username);
+        if (!u)
+            return null;
+        const wanted = url.replace(/\/+$/, '');
+        const archives = await this.fetchArchiveIndex(u);
+        for (let i = archives.length - 1; i >= 0; i--) {
+            const month = await this.fetchArchiveMonth(archives[i]);
+            const game = (month.games || []).find((g) => (g.url || '').replace(/\/+$/, '') === wanted);
+            if (game)
+                return game;
+        }
+        return null;
+    }
+    // Games the user finished in [since, until), oldest first
+    async getGames(username, opts) {
+        const u = normalizeUsername(username);
+        if (!u)
+            return [];
+        const archives = (await this.fetchArchiveIndex(u)).filter((url) => archiveOverlaps(url, opts?.since, opts?.until));
+        const out = [];
+        for (const url of archives) {
+            const month = await this.fetchArchiveMonth(url);
+            for (const g of month.games || []) {
+                if (opts?.timeClass && g.time_class?.toLowerCase() !== opts.timeClass)
+                    continue;
+                if (!endedInRange(g, opts?.since, opts?.until) || !colorOfUser(g, u))
+                    continue;
+                if (opts?.vs && !colorOfUser(g, normalizeUsername(opts.vs)))
+                    continue;
+                out.push(g);
+            }
+        }
+        return out.sort((a, b) => (a.end_time || 0) - (b.end_time || 0));
+    }
+    // Monthly archives, oldest first; `final` once the month can no longer change
+    async listArchives(username) {
+        const u = normalizeUsername(username);
+        if (!u)
+            return [];
+        const now = Date.now() / 1000;
+        const out = [];
+        for (const url of await this.fetchArchiveIndex(u)) {
+            const bounds = archiveMonthBounds(url);
+            const m = url.match(/(\d{4})\/(\d{2})\/?$/);
+            if (!bounds || !m)
+                continue;
+            out.push({ key: `${m[1]}-${m[2]}`, url, since: bounds.start, until: bounds.end, final: now > bounds.end + ARCHIVE_SETTLE_SECONDS });
+        }
+        return out;
+    }
+    async getArchiveGames(username, archive) {
+        const u = normalizeUsername(username);
+        const month = await this.fetchArchiveMonth(archive.url);
+        return (month.games || []).filter((g) => colorOfUser(g, u)).sort((a, b) => (a.end_time || 0) - (b.end_time || 0));
+    }
+    // Today's puzzle: title, link, starting FEN and the solution as PGN
+    async getDailyPuzzle() {
+        const data = await fetchJson('https://api.chess.com/pub/puzzle');
+        const parsed = parsePgn(data.pgn || '');
+        return {
+            title: data.title || 'Daily puzzle',
+            url: data.url || '',
+            date: data.publish_time || 0,
+            fen: data.fen || parsed.headers.FEN || '',
+            pgn: data.pgn || '',
+            solution: parsed.mainline.map((m) => m.san),
+            rating: null,
+            themes: [],
+        };
+    }
+    // Tactics ratings and puzzle rush best from the stats endpoint (no current tactics rating is published)
+    async getPuzzleStats(username) {
+        const stats = await fetchJson(`https://api.chess.com/pub/player/${encodeURIComponent(normalizeUsername(username))}/stats`);
+        return {
+            rating: stats.tactics?.highest?.rating ?? null,
+            highest: stats.tactics?.highest?.rating ?? null,
+            lowest: stats.tactics?.lowest?.rating ?? null,
+            rushBest: stats.puzzle_rush?.best?.score ?? null,
+            rushAttempts: stats.puzzle_rush?.best?.total_attempts ?? null,
+            streakBest: null,
+        };
+    }
+    // Title, country, join date, puzzle rating and per-class best rating and W/L/D record
+    async getProfile(username) {
+        const base = `https://api.chess.com/pub/player/${encodeURIComponent(normalizeUsername(username))}`;
+        const player = await fetchJson(base);
+        const stats = await fetchJson(`${base}/stats`);
+        const perfs = {};
+        for (const tc of ['bullet', 'blitz', 'rapid', 'daily']) {
+            const stat = stats[`chess_${tc}`];
+            if (!stat)
+                continue;
+            perfs[tc] = {
+                rating: stat.last?.rating,
+                best: stat.best?.rating,
+                win: stat.record?.win,
+                loss: stat.record?.loss,
+                draw: stat.record?.draw,
+            };
+        }
+        return {
+            title: player.title || '',
+            // `country` is an API URL ending in the ISO code
+            country: (player.country || '').split('/').pop(),
+            joined: player.joined || 0,
+            puzzleRating: stats.tactics?.highest?.rating ?? null,
+            perfs,
+            // 'closed', or the reason after `closed:` (e.g. 'fair_play_violations'); empty for open accounts
+            closed: /^closed/.test(player.status || '') ? (player.status.split(':')[1] || 'closed') : '',
+        };
+    }
+    // Daily games still in progress, the ones where it's the user's move first, then by deadline.
+    // Players here are profile API URLs rather than objects, so names come from the URL.
+    async getDailyGames(username) {
+        const u = normalizeUsername(username);
+        if (!u)
+            return [];
+        const data = await fetchJson(`https://api.chess.com/pub/player/${encodeURIComponent(u)}/games`);
+        const nameOf = (player) => (typeof player === 'string' ? player : player?.['@id'] || player?.username || '').split('/').pop();
+        const games = (data.games || []).map((g) => {
+            const white = nameOf(g.white);
+            const black = nameOf(g.black);
+            const color = normalizeUsername(white) === u ? 'white' : 'black';
+            return {
+                url: g.url,
+                color,
+                opponent: color === 'white' ? black : white,
+                myTurn: g.turn === color,
+                moveBy: g.move_by || 0,
+                lastActivity: g.last_activity || 0,
+                fen: g.fen || '',
+            };
+        });
+        return games.sort((a, b) => Number(b.myTurn) - Number(a.myTurn) || (a.moveBy || Infinity) - (b.moveBy || Infinity));
+    }
+    profileUrl(username) {
+        const u = (username || '').trim();
+        if (!u)
+            return '';
+        return `https://www.chess.com/member/${encodeURIComponent(u)}`;
+    }
+}
+// Lichess perf keys and the time class they report as
+const LICHESS_PERF_CLASSES = {
+    ultraBullet: 'ultrabullet',
+    bullet: 'bullet',
+    blitz: 'blitz',
+    rapid: 'rapid',
+    classical: 'classical',
+    correspondence: 'correspondence',
+};
+// Lichess speeds grouped under the Chess.com time classes our commands use
+const LICHESS_SPEEDS = {
+    bullet: ['ultraBullet', 'bullet'],
+    blitz: ['blitz'],
+    rapid: ['rapid', 'classical'],
+    daily: ['correspondence'],
+};
+// Lichess perf key for a single time class; `perfType` wants camelCase (e.g. ultraBullet)
+function lichessPerfType(timeClass) {
+    const t = timeClass.toLowerCase();
+    return Object.keys(LICHESS_PERF_CLASSES).find((key) => LICHESS_PERF_CLASSES[key] === t) || timeClass;
+}
+// Lichess status -> Chess.com per-player result codes understood by outcomeCategory
+const LICHESS_LOSS_RESULTS = {
+    mate: 'checkmated',
+    resign: 'resigned',
+    outoftime: 'timeout',
+    timeout: 'abandoned',
+};
+const LICHESS_DRAW_RESULTS = {
+    stalemate: 'stalemate',
+    outoftime: 'timevsinsufficient',
+    insufficientMaterialClaim: 'insufficient',
+};
+const LICHESS_UNFINISHED = ['created', 'started', 'aborted', 'noStart'];
+// "Last game" looks back at most this many pages of this many games
+const LICHESS_LAST_GAME_PAGE = 10;
+const LICHESS_LAST_GAME_PAGES = 5;
+// Map a Lichess export game onto the Chess.com game shape buildTemplateVars expects
+function normalizeLichessGame(g) {
+    const players = g.players || {};
+    const side = (color) => {
+        const p = players[color] || {};
+        let result;
+        if (g.winner === color)
+            result = 'win';
+        else if (g.winner)
+            result = LICHESS_LOSS_RESULTS[g.status] || 'lose';
+        else
+            result = LICHESS_DRAW_RESULTS[g.status] || 'draw';
+        const username = p.user?.name || (p.aiLevel ? `Stockfish level ${p.aiLevel}` : 'Anonymous');
+        return { username, rating: p.rating, result };
+    };
+    const variant = g.variant || 'standard';
+    return {
+        url: `https://lichess.org/${g.id}`,
+        uuid: g.id,
+        pgn: g.pgn || '',
+        time_class: g.speed || g.perf || '',
+        rated: !!g.rated,
+        rules: variant === 'standard' ? 'chess' : variant,
+        start_time: g.createdAt ? Math.floor(g.createdAt / 1000) : undefined,
+        end_time: g.lastMoveAt ? Math.floor(g.lastMoveAt / 1000) : undefined,
+        white: side('white'),
+        black: side('black'),
+    };
+}
+// Lichess: the user games export endpoint (newest first)
+class LichessProvider {
+    constructor() {
+        this.id = 'lichess';
+        this.label = 'Lichess';
+        this.leaderboardsUrl = 'https://lichess.org/api/player';
+    }
+    exportUrl(u, params) {
+        const query = Object.assign({ pgnInJson: 'true', clocks: 'true', opening: 'true' }, params);
+        const qs = Object.entries(query).map(([k, v]) => `${k}=${encodeURIComponent(String(v))}`).join('&');
+        return `https://lichess.org/api/games/user/${encodeURIComponent(u)}?${qs}`;
+    }
+    async getLastGame(username, opts) {
+        const u = normalizeUsername(username);
+        if (!u)
+            return null;
+        const params = { max: LICHESS_LAST_GAME_PAGE, finished: 'true', ongoing: 'false' };
+        if (opts?.timeClass)
+            params.perfType = (LICHESS_SPEEDS[opts.timeClass] || [lichessPerfType(opts.timeClass)]).join(',');
+        // Aborted games still count as finished for the export, so page back until a real result
+        for (let page = 0; page < LICHESS_LAST_GAME_PAGES; page++) {
+            const games = await fetchNdjson(this.exportUrl(u, params));
+            for (const raw of games) {
+                if (LICHESS_UNFINISHED.includes(raw.status))
+                    continue;
+                const game = normalizeLichessGame(raw);
+                const meColor = colorOfUser(game, u);
+                if (!meColor)
+                    continue;
+                return { game, meColor, meUsername: username };
+            }
+            if (games.length < params.max || !games[games.length - 1].createdAt)
+                break;
+            params.until = games[games.length - 1].createdAt - 1;
+        }
+        return null;
+    }
+    // Lichess rates each speed separately, so compare against the exact same speed
+    async getPreviousGame(username, game, beforeEndTime) {
+        const u = normalizeUsername(username);
+        if (!u || !game.time_class)
+            return null;
+        // `until` filters on creation time; anything created before this game started is earlier
+        const until = ((game.start_time || beforeEndTime) * 1000) - 1;
+        const games = await fetchNdjson(this.exportUrl(u, { max: 5, perfType: lichessPerfType(game.time_class), until }));
+        for (const raw of games) {
+            if (LICHESS_UNFINISHED.includes(raw.status))
+                continue;
+            const prev = normalizeLichessGame(raw);
+            if ((prev.end_time || 0) < beforeEndTime)
+                return prev;
+        }
+        return null;
+    }
+    async getGameByUrl(url) {
+        const m = url.match(/lichess\.org\/(?:game\/export\/)?([a-zA-Z0-9]{8})/);
+        if (!m)
+            return null;
+        const raw = await fetchJson(`https://lichess.org/game/export/${m[1]}?pgnInJson=true&clocks=true&opening=true`, { Accept: 'application/json' });
+        return raw ? normalizeLichessGame(raw) : null;
+    }
+    // Games the user finished in [since, until), oldest first
+    async getGames(username, opts) {
+        const u = normalizeUsername(username);
+        if (!u)
+            return [];
+        const params = {};
+        // The export filters on creation time, so start a day early to catch games that ran across midnight
+        if (opts?.since != null)
+            params.since = (opts.since - 24 * 3600) * 1000;
+        if (opts?.until != null)
+            params.until = opts.until * 1000;
+        if (opts?.timeClass)
+            params.perfType = (LICHESS_SPEEDS[opts.timeClass] || [lichessPerfType(opts.timeClass)]).join(',');
+        if (opts?.vs)
+            params.vs = normalizeUsername(opts.vs);
+        const games = await fetchNdjson(this.exportUrl(u, params));
+        const out = [];
+        for (const raw of games) {
+            if (LICHESS_UNFINISHED.includes(raw.status))
+                continue;
+            const g = normalizeLichessGame(raw);
+            if (!endedInRange(g, opts?.since, opts?.until) || !colorOfUser(g, u))
+                continue;
+            out.push(g);
+        }
+        return out.sort((a, b) => (a.end_time || 0) - (b.end_time || 0));
+    }
+    // Lichess has no archives, so present calendar months (UTC) since the account was created
+    async listArchives(username) {
+        const u = normalizeUsername(username);
+        if (!u)
+            return [];
+        const user = await fetchJson(`https://lichess.org/api/user/${encodeURIComponent(u)}`);
+        const created = new Date(user?.createdAt || Date.now());
+        const now = Date.now() / 1000;
+        const out = [];
+        let year = created.getUTCFullYear();
+        let month = created.getUTCMonth();
+        while (Date.UTC(year, month, 1) / 1000 <= now) {
+            const since = Date.UTC(year, month, 1) / 1000;
+            const until = Date.UTC(year, month + 1, 1) / 1000;
+            out.push({ key: `${year}-${zeroPad(month + 1)}`, since, until, final: now > until + ARCHIVE_SETTLE_SECONDS });
+            month++;
+            if (month === 12) {
+                month = 0;
+                year++;
+            }
+        }
+        return out;
+    }
+    getArchiveGames(username, archive) {
+        return this.getGames(username, { since: archive.since, until: archive.until });
+    }
+    // Same shape as ChessComProvider.getDailyPuzzle. The puzzle starts after `initialPly + 1` moves
+    // of its source game; the UCI solution is converted to SAN.
+    async getDailyPuzzle() {
+        const data = await fetchJson('https://lichess.org/api/puzzle/daily');
+        const puzzle = data.puzzle || {};
+        const sans = (data.game?.pgn || '').split(/\s+/).filter(Boolean).slice(0, (puzzle.initialPly || 0) + 1);
+        const replay = replaySanMoves(sans);
+        if (replay.error)
+            throw new Error(`Could not set up puzzle ${puzzle.id}: ${replay.error}`);
+        const position = replay.positions[replay.positions.length - 1].clone();
+        const fen = position.toFen();
+        const solution = [];
+        for (const uci of puzzle.solution || []) {
+            const from = parseSquare(uci.slice(0, 2));
+            const to = parseSquare(uci.slice(2, 4));
+            const promotion = uci[4];
+            solution.push(position.sanOf(from, to, promotion));
+            position.play(from, to, promotion);
+        }
+        return {
+            title: `Puzzle ${puzzle.id}`,
+            url: `https://lichess.org/training/${puzzle.id}`,
+            date: Math.floor(Date.now() / 1000),
+            fen,
+            pgn: `[FEN "${fen}"]\n[SetUp "1"]\n\n${numberSanMoves(solution, fen)} *`,
+            solution,
+            rating: puzzle.rating ?? null,
+            themes: puzzle.themes || [],
+        };
+    }
+    // Same shape as ChessComProvider.getPuzzleStats; Puzzle Storm stands in for puzzle rush
+    async getPuzzleStats(username) {
+        const user = await fetchJson(`https://lichess.org/api/user/${encodeURIComponent(normalizeUsername(username))}`);
+        return {
+            rating: user.perfs?.puzzle?.rating ?? null,
+            highest: null,
+            lowest: null,
+            rushBest: user.perfs?.storm?.score ?? null,
+            rushAttempts: user.perfs?.storm?.runs ?? null,
+            streakBest: user.perfs?.streak?.score ?? null,
+        };
+    }
+    // Same shape as ChessComProvider.getProfile. Best ratings and records need one request per
+    // speed, so they are only fetched with `records`.
+    async getProfile(username, opts) {
+        const u = normalizeUsername(username);
+        const user = await fetchJson(`https://lichess.org/api/user/${encodeURIComponent(u)}`);
+        const perfs = {};
+        for (const [perf, tc] of Object.entries(LICHESS_PERF_CLASSES)) {
+            const p = user.perfs?.[perf];
+            if (!p?.games)
+                continue;
+            perfs[tc] = { rating: p.rating };
+            if (!opts?.records)
+                continue;
+            const stat = (await fetchJson(`https://lichess.org/api/user/${encodeURIComponent(u)}/perf/${perf}`)).stat;
+            perfs[tc].best = stat?.highest?.int;
+            perfs[tc].win = stat?.count?.win;
+            perfs[tc].loss = stat?.count?.loss;
+            perfs[tc].draw = stat?.count?.draw;
+        }
+        return {
+            title: user.title || '',
+            country: user.profile?.flag || user.profile?.country || '',
+            joined: user.createdAt ? Math.floor(user.createdAt / 1000) : 0,
+            puzzleRating: user.perfs?.puzzle?.rating ?? null,
+            perfs,
+            closed: user.tosViolation ? 'terms of service violation' : user.closed || user.disabled ? 'closed' : '',
+        };
+    }
+    profileUrl(username) {
+        const u = (username || '').trim();
+        if (!u)
+            return '';
+        return `https://lichess.org/@/${encodeURIComponent(u)}`;
+    }
+}
+function labelGameType(tc) {
+    const t = (tc || '').toLowerCase();
+    if (t === 'ultrabullet')
+        return 'UltraBullet';
+    if (t === 'bullet')
+        return 'Bullet';
+    if (t === 'blitz')
+        return 'Blitz';
+    if (t === 'rapid')
+        return 'Rapid';
+    if (t === 'classical')
+        return 'Classical';
+    if (t === 'daily')
+        return 'Daily';
+    if (t === 'correspondence')
+        return 'Correspondence';
+    return '';
+}
+// Settings of the core Daily Notes plugin, with its defaults
+function getDailyNoteSettings(app) {
+    const options = app.internalPlugins?.getPluginById?.('daily-notes')?.instance?.options || {};
+    return {
+        format: options.format || 'YYYY-MM-DD',
+        folder: options.folder || '',
+        template: options.template || '',
+    };
+}
+// Day a note is about: its `date` property, else its filename in the Daily Notes format
+function getNoteDate(app, file) {
+    const { format } = getDailyNoteSettings(app);
+    const fmDate = app.metadataCache.getFileCache(file)?.frontmatter?.date;
+    if (fmDate) {
+        const fromProperty = (0, obsidian_1.moment)(String(fmDate), [format, obsidian_1.moment.ISO_8601], true);
+        if (fromProperty.isValid())
+            return fromProperty.startOf('day');
+    }
+    // Formats may contain folders (e.g. YYYY/MM/YYYY-MM-DD); the filename matches the last segment
+    const fileFormat = format.split('/').pop() || format;
+    const fromName = (0, obsidian_1.moment)(file.basename, fileFormat, true);
+    return fromName.isValid() ? fromName.startOf('day') : null;
+}
+// Whether a path is where the core Daily Notes plugin puts a daily note (folder + date format)
+function isDailyNotePath(app, path) {
+    const { format, folder } = getDailyNoteSettings(app);
+    const prefix = folder ? `${(0, obsidian_1.normalizePath)(folder)}/` : '';
+    if (!path.endsWith('.md') || !path.startsWith(prefix))
+        return false;
+    return (0, obsidian_1.moment)(path.slice(prefix.length, -3), format, true).isValid();
+}
+// Whether a path is a template: the Daily Notes template, or inside the Templates or Templater folder
+function isTemplatePath(app, path) {
+    const { template } = getDailyNoteSettings(app);
+    if (template && path === (0, obsidian_1.normalizePath)(template.endsWith('.md') ? template : `${template}.md`))
+        return true;
+    const folders = [
+        app.internalPlugins?.getPluginById?.('templates')?.instance?.options?.folder,
+        app.plugins?.plugins?.['templater-obsidian']?.settings?.templates_folder,
+    ];
+    return folders.some((folder) => folder && path.startsWith(`${(0, obsidian_1.normalizePath)(folder)}/`));
+}
+function formatRatingDelta(delta) {
+    return delta > 0 ? `+${delta}` : `${delta}`;
+}
+// Latest game in an already-fetched list that precedes `game` in the same time class
+function findPreviousInHistory(history, game, userNorm, beforeEndTime) {
+    let latest = null;
+    for (const g of history || []) {
+        if (g === game || g.time_class !== game.time_class || (g.end_time || 0) >= beforeEndTime)
+            continue;
+        if (!colorOfUser(g, userNorm))
+            continue;
+        if (!latest || (g.end_time || 0) > (latest.end_time || 0))
+            latest = g;
+    }
+    return latest;
+}
+async function buildTemplateVars(game, meColor, lookupUsername, dateFormat, timeFormat, provider, history) {
+    const white = game.white || {};
+    const black = game.black || {};
+    const timeClass = game.time_class || '';
+    const start = game.start_time;
+    const end = game.end_time;
+    const whiteCat = outcomeCategory(white.result);
+    const blackCat = outcomeCategory(black.result);
+    const winnerSide = whiteCat === 'win' ? 'white' : blackCat === 'win' ? 'black' : null;
+    const loserSide = whiteCat === 'loss' ? 'white' : blackCat === 'loss' ? 'black' : null;
+    const winner = winnerSide ? (winnerSide === 'white' ? white : black) : undefined;
+    const loser = loserSide ? (loserSide === 'white' ? white : black) : undefined;
+    const lookupName = (lookupUsername && lookupUsername.trim()) || (meColor === 'white' ? white.username : black.username) || '';
+    const lookupNorm = normalizeUsername(lookupName);
+    const whiteNorm = normalizeUsername(white.username);
+    const blackNorm = normalizeUsername(black.username);
+    const lookupSide = lookupNorm === whiteNorm ? 'white' : lookupNorm === blackNorm ? 'black' : meColor;
+    const lookupPlayer = lookupSide === 'white' ? white : black;
+    const otherPlayer = lookupSide === 'white' ? black : white;
+    // Compute rating change vs previous game of same type for focus user (formerly lookup)
+    let ratingChange = '';
+    try {
+        if (end && timeClass && lookupName) {
+            // Games fetched alongside this one usually contain its predecessor; avoid another round trip
+            const prev = findPreviousInHistory(history, game, lookupNorm, end)
+                || await provider.getPreviousGame(lookupName, game, end);
+            if (prev) {
+                const prevWhite = prev.white || {};
+                const prevBlack = prev.black || {};
+                const prevLookup = normalizeUsername(prevWhite.username) === lookupNorm ? prevWhite : prevBlack;
+                if (lookupPlayer.rating != null && prevLookup.rating != null) {
+                    ratingChange = formatRatingDelta(lookupPlayer.rating - prevLookup.rating);
+                }
+            }
+        }
+    }
+    catch (e) {
+        // ignore, leave empty -> N/A via normalizer
+    }
+    const pgnGame = loadPgn(game.pgn);
+    const startDate = formatDateOnly(start, dateFormat);
+    const endDate = formatDateOnly(end, dateFormat);
+    const startTime = formatTimeOnly(start, timeFormat);
+    const endTime = formatTimeOnly(end, timeFormat);
+    const vars = {
+        rated: game.rated ? 'Rated' : 'Unrated',
+        rules: game.rules || '',
+        // New timestamp fields
+        start_timestamp: formatTimestamp(start, dateFormat, timeFormat),
+        end_timestamp: formatTimestamp(end, dateFormat, timeFormat),
+        start_date: startDate,
+        end_date: endDate,
+        start_date_relative: formatRelativeDay(start),
+        end_date_relative: formatRelativeDay(end),
+        start_time: startTime,
+        end_time: endTime,
+        moves: countFullMovesFromPgn(game.pgn),
+        move_list: pgnGame.sans,
+        final_fen: pgnGame.replay.error ? (game.fen || '') : pgnGame.fenAt(pgnGame.sans.length),
+        termination: pgnGame.headers.Termination || '',
+        eco: pgnGame.headers.ECO || '',
+        opening: openingName(pgnGame.headers, game.eco),
+        time_control: formatTimeControl(pgnGame.headers.TimeControl || game.time_control),
+        ...analyzeClocks(pgnGame, lookupSide),
+        // Link to the game's own note; filled in when the game is saved to the vault
+        game_note: '',
+        // Filled in by the plugin when a template uses them (saves an SVG file)
+        board_svg: '',
+        board_image: '',
+        // Engine analysis, also filled in by the plugin when used
+        ...Object.fromEntries(ANALYSIS_TEMPLATE_KEYS.map((k) => [k, ''])),
+        time: formatDuration(start, end, timeClass),
+        url: game.url || '',
+        game_type: labelGameType(timeClass), // capitalized game type
+        white: white.username || '',
+        white_url: provider.profileUrl(white.username),
+        white_rating: white.rating != null ? String(white.rating) : '',
+        white_result: pastTenseLabel(whiteCat),
+        black: black.username || '',
+        black_url: provider.profileUrl(black.username),
+        black_rating: black.rating != null ? String(black.rating) : '',
+        black_result: pastTenseLabel(blackCat),
+        winner: winner?.username || '',
+        winner_url: winner?.username ? provider.profileUrl(winner.username) : '',
+        winner_rating: winner?.rating != null ? String(winner.rating) : '',
+        loser: loser?.username || '',
+        loser_url: loser?.username ? provider.profileUrl(loser.username) : '',
+        loser_rating: loser?.rating != null ? String(loser.rating) : '',
+        // focus/foe (new names replacing lookup/other)
+        focus: lookupPlayer.username || lookupName,
+        focus_url: provider.profileUrl(lookupPlayer.username || lookupName),
+        focus_rating: lookupPlayer.rating != null ? String(lookupPlayer.rating) : '',
+        focus_result: pastTenseLabel(outcomeCategory(lookupPlayer.result)),
+        // Interactive board code block, oriented for the focus player
+        board: game.pgn ? ['```lastchess', `focus: ${lookupPlayer.username || lookupName}`, game.pgn.trim(), '```'].join('\n') : '',
+        foe: otherPlayer.username || '',
+        foe_url: provider.profileUrl(otherPlayer.username),
+        foe_rating: otherPlayer.rating != null ? String(otherPlayer.rating) : '',
+        foe_result: pastTenseLabel(outcomeCategory(otherPlayer.result)),
+        rating_change: ratingChange,
+    };
+    return vars;
+}
+// PGN-style result of a game
+function gameResultCode(game) {
+    const whiteCat = outcomeCategory(game.white?.result);
+    const blackCat = outcomeCategory(game.black?.result);
+    if (whiteCat === 'win')
+        return '1-0';
+    if (blackCat === 'win')
+        return '0-1';
+    if (whiteCat === 'draw' || blackCat === 'draw')
+        return '1/2-1/2';
+    return '*';
+}
+function sanitizeFileName(name) {
+    return (name || '').replace(/[\\/:*?"<>|#^[\]]/g, '').replace(/\s+/g, ' ').trim();
+}
+// Markdown for a game's own note: frontmatter for Dataview and the full PGN
+function buildGameNote(game, vars, site) {
+    const frontmatter = {
+        white: vars.white,
+        black: vars.black,
+        white_rating: game.white?.rating ?? null,
+        black_rating: game.black?.rating ?? null,
+        result: gameResultCode(game),
+        focus: vars.focus,
+        focus_result: vars.focus_result,
+        time_class: vars.game_type,
+        time_control: vars.time_control,
+        eco: vars.eco,
+        opening: vars.opening,
+        url: vars.url,
+        end_date: game.end_time ? formatWithPattern(new Date(game.end_time * 1000), 'yyyy-MM-dd', false) : '',
+        site,
+    };
+    return [
+        '---',
+        (0, obsidian_1.stringifyYaml)(frontmatter).trim(),
+        '---',
+        '',
+        `# ${vars.white} vs ${vars.black}`,
+        '',
+        '```pgn',
+        (game.pgn || '').trim(),
+        '```',
+        '',
+    ].join('\n');
+}
+// Stable identity of a game across sites and re-imports
+function gameId(game) {
+    return game.uuid || game.url || '';
+}
+// Time left on a daily move, e.g. `1d 4h`, `3h 20m` or `12m`
+function formatTimeLeft(seconds) {
+    if (seconds <= 0)
+        return 'overdue';
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (days > 0)
+        return `${days}d ${hours}h`;
+    if (hours > 0)
+        return `${hours}h ${minutes}m`;
+    return `${Math.max(1, minutes)}m`;
+}
+const DAILY_GAME_COLUMNS = ['Opponent', 'Turn', 'Time left', 'Game'];
+// Cells of one in-progress daily game, in DAILY_GAME_COLUMNS order
+function dailyGameCells(game, now) {
+    return [
+        game.opponent,
+        game.myTurn ? 'Your move' : 'Their move',
+        game.moveBy ? formatTimeLeft(game.moveBy - now) : '',
+        game.url,
+    ];
+}
+function formatDailyGamesMarkdown(games, now) {
+    const out = [`| ${DAILY_GAME_COLUMNS.join(' | ')} |`, `|${DAILY_GAME_COLUMNS.map(() => '---').join('|')}|`];
+    for (const game of games) {
+        const [opponent, turn, left, url] = dailyGameCells(game, now);
+        out.push(`| ${opponent} | ${game.myTurn ? `**${turn}**` : turn} | ${left} | [Open](${url}) |`);
+    }
+    return out.join('\n');
+}
+// Refresh period of the "to move" status bar count
+const DAILY_STATUS_MINUTES = 10;
+const PROFILE_CACHE_SECONDS = 3600;
+// How far back the game picker lists games
+const GAME_PICKER_DAYS = 30;
+// Pause between archive months during bulk imports
+const IMPORT_THROTTLE_MS = 750;
+function sleep(ms) {
+    return new Promise((resolve) => window.setTimeout(resolve, ms));
+}
+// Create every missing folder along a vault path
+async function ensureFolder(app, folder) {
+    const parts = (0, obsidian_1.normalizePath)(folder).split('/').filter(Boolean);
+    let path = '';
+    for (const part of parts) {
+        path = path ? `${path}/${part}` : part;
+        if (!app.vault.getAbstractFileByPath(path))
+            await app.vault.createFolder(path);
+    }
+}
+// Fill the core Daily Notes template variables: {{title}}, {{date}}, {{time}}, optionally with `:FORMAT`
+function renderDailyNoteTemplate(content, day, title) {
+    return content
+        .replace(/{{\s*title\s*}}/gi, title)
+        .replace(/{{\s*(date|time)\s*(?::(.*?))?\s*}}/gi, (_m, kind, fmt) => {
+        const now = (0, obsidian_1.moment)();
+        const when = kind.toLowerCase() === 'date' ? day.clone().set({ hour: now.hour(), minute: now.minute() }) : now;
+        return when.format(fmt?.trim() || (kind.toLowerCase() === 'date' ? 'YYYY-MM-DD' : 'HH:mm'));
+    });
+}
+// Append lines at the end of a heading's section, adding the heading at the bottom if missing
+function appendUnderHeading(content, heading, lines) {
+    const rows = content.split('\n');
+    const level = (heading.match(/^#+/) || [''])[0].length;
+    const start = heading ? rows.findIndex((r) => r.trim() === heading.trim()) : -1;
+    if (start < 0) {
+        const body = content.replace(/\s*$/, '');
+        const block = (heading ? [heading, ...lines] : lines).join('\n');
+        return (body ? `${body}\n\n` : '') + block + '\n';
+    }
+    let end = rows.length;
+    for (let i = start + 1; i < rows.length; i++) {
+        const m = rows[i].match(/^(#+)\s/);
+        if (m && (!level || m[1].length <= level)) {
+            end = i;
+            break;
+        }
+    }
+    // Keep blank lines that separate the section from the next heading
+    let at = end;
+    while (at > start + 1 && !rows[at - 1].trim())
+        at--;
+    rows.splice(at, 0, ...lines);
+    return rows.join('\n');
+}
+// Time classes that get their own `_<class>` summary handlebars
+const SUMMARY_TIME_CLASSES = ['bullet', 'blitz', 'rapid', 'daily', 'ultrabullet', 'classical', 'correspondence'];
+// Aggregate handlebars over the focus user's games in [since, until); games are oldest first
+async function buildSummaryVars(games, username, since, until, dateFormat, timeFormat, provider, includeGames) {
+    const u = normalizeUsername(username);
+    const byClass = {};
+    let wins = 0;
+    let losses = 0;
+    let draws = 0;
+    let streak = 0;
+    let longestStreak = 0;
+    let peak = null;
+    let bestWin = null;
+    let count = 0;
+    for (const game of games) {
+        const color = colorOfUser(game, u);
+        if (!color)
+            continue;
+        const me = game[color] || {};
+        const foe = game[color === 'white' ? 'black' : 'white'] || {};
+        const cat = outcomeCategory(me.result);
+        const tc = (game.time_class || '').toLowerCase();
+        const bucket = byClass[tc] || (byClass[tc] = { games: [], wins: 0, losses: 0, draws: 0, peak: null });
+        bucket.games.push(game);
+        count++;
+        if (cat === 'win') {
+            wins++;
+            bucket.wins++;
+            streak++;
+            longestStreak = Math.max(longestStreak, streak);
+            if (foe.rating != null && (!bestWin || foe.rating > bestWin.rating))
+                bestWin = foe;
+        }
+        else {
+            streak = 0;
+            if (cat === 'loss') {
+                losses++;
+                bucket.losses++;
+            }
+            else if (cat === 'draw') {
+                draws++;
+                bucket.draws++;
+            }
+        }
+        if (me.rating != null) {
+            peak = peak == null ? me.rating : Math.max(peak, me.rating);
+            bucket.peak = bucket.peak == null ? me.rating : Math.max(bucket.peak, me.rating);
+        }
+    }
+    const vars = {
+        focus: username,
+        focus_url: provider.profileUrl(username),
+        start_date: formatDateOnly(since, dateFormat),
+        end_date: formatDateOnly(until - 1, dateFormat),
+        games_count: String(count),
+        wins: String(wins),
+        losses: String(losses),
+        draws: String(draws),
+        peak_rating: peak != null ? String(peak) : '',
+        best_win: bestWin ? `${bestWin.username} (${bestWin.rating})` : '',
+        best_win_url: bestWin ? provider.profileUrl(bestWin.username) : '',
+        best_win_rating: bestWin ? String(bestWin.rating) : '',
+        longest_streak: String(longestStreak),
+    };
+    const changes = [];
+    for (const tc of SUMMARY_TIME_CLASSES) {
+        const bucket = byClass[tc];
+        let change = '';
+        if (bucket) {
+            const first = bucket.games[0];
+            const last = bucket.games[bucket.games.length - 1];
+            const ratingOf = (g) => g?.[colorOfUser(g, u)]?.rating;
+            // Net change runs from the rating held before the range; fall back to the first game's rating
+            let startRating = ratingOf(first);
+            try {
+                const prev = await provider.getPreviousGame(username, first, first.end_time);
+                if (prev && ratingOf(prev) != null)
+                    startRating = ratingOf(prev);
+            }
+            catch (e) {
+                // ignore, keep the first game's rating
+            }
+            if (startRating != null && ratingOf(last) != null) {
+                change = formatRatingDelta(ratingOf(last) - startRating);
+                changes.push(`${labelGameType(tc)} ${change}`);
+            }
+        }
+        vars[`games_count_${tc}`] = String(bucket ? bucket.games.length : 0);
+        vars[`wins_${tc}`] = String(bucket ? bucket.wins : 0);
+        vars[`losses_${tc}`] = String(bucket ? bucket.losses : 0);
+        vars[`draws_${tc}`] = String(bucket ? bucket.draws : 0);
+        vars[`peak_rating_${tc}`] = bucket?.peak != null ? String(bucket.peak) : '';
+        vars[`net_rating_change_${tc}`] = change;
+    }
+    vars.net_rating_change = changes.join(', ');
+    // Per-game rows for {{#each games}}; only built when the template iterates them
+    vars.games = [];
+    if (includeGames) {
+        for (const game of games) {
+            const color = colorOfUser(game, u);
+            if (color)
+                vars.games.push(await buildTemplateVars(game, color, username, dateFormat, timeFormat, provider, games));
+        }
+    }
+    return vars;
+}
+// Record of `username` against `opponent` over their games (oldest first): totals, per-class splits,
+// the last five results as W/L/D letters (oldest to newest) and, when asked for, per-game rows
+async function buildHeadToHeadVars(games, username, opponent, dateFormat, timeFormat, provider, includeGames) {
+    const u = normalizeUsername(username);
+    const letters = { win: 'W', loss: 'L', draw: 'D' };
+    const totals = { win: 0, loss: 0, draw: 0 };
+    const byClass = {};
+    const results = [];
+    for (const game of games) {
+        const color = colorOfUser(game, u);
+        const outcome = outcomeCategory(game[color]?.result);
+        const tc = (game.time_class || '').toLowerCase();
+        const bucket = byClass[tc] || (byClass[tc] = { games: 0, win: 0, loss: 0, draw: 0 });
+        bucket.games++;
+        if (totals[outcome] != null) {
+            totals[outcome]++;
+            bucket[outcome]++;
+        }
+        results.push(letters[outcome] || '?');
+    }
+    const first = games[0];
+    const last = games[games.length - 1];
+    const opp = last ? last[colorOfUser(last, u) === 'white' ? 'black' : 'white'] : null;
+    const vars = {
+        focus: username,
+        focus_url: provider.profileUrl(username),
+        foe: opp?.username || opponent,
+        foe_url: provider.profileUrl(opp?.username || opponent),
+        h2h_games: String(games.length),
+        h2h_wins: String(totals.win),
+        h2h_losses: String(totals.loss),
+        h2h_draws: String(totals.draw),
+        h2h_score: `${totals.win + totals.draw / 2}/${games.length}`,
+        h2h_last5: results.slice(-5).join(' '),
+        h2h_first_date: first ? formatDateOnly(first.end_time, dateFormat) : '',
+        h2h_last_date: last ? formatDateOnly(last.end_time, dateFormat) : '',
+    };
+    for (const tc of SUMMARY_TIME_CLASSES) {
+        const bucket = byClass[tc];
+        vars[`h2h_games_${tc}`] = String(bucket ? bucket.games : 0);
+        vars[`h2h_wins_${tc}`] = String(bucket ? bucket.win : 0);
+        vars[`h2h_losses_${tc}`] = String(bucket ? bucket.loss : 0);
+        vars[`h2h_draws_${tc}`] = String(bucket ? bucket.draw : 0);
+    }
+    // Rows for {{#each games}} (oldest first) and {{#each h2h_recent}} (last five, newest first)
+    vars.games = [];
+    vars.h2h_recent = [];
+    if (includeGames.games || includeGames.recent) {
+        const rows = [];
+        for (const game of includeGames.games ? games : games.slice(-5))
+            rows.push(await buildTemplateVars(game, colorOfUser(game, u), username, dateFormat, timeFormat, provider, games));
+        if (includeGames.games)
+            vars.games = rows;
+        vars.h2h_recent = rows.slice(-5).reverse();
+    }
+    return vars;
+}
+// Line colors per time class in rating charts
+const RATING_CHART_COLORS = {
+    bullet: '#e06c4f',
+    blitz: '#3d85c6',
+    rapid: '#6aa84f',
+    daily: '#a64d79',
+    ultrabullet: '#d4a017',
+    classical: '#45818e',
+    correspondence: '#8e7cc3',
+};
+// The focus user's rating after each game, grouped by time class; games are oldest first
+function ratingSeries(games, username) {
+    const u = normalizeUsername(username);
+    const byClass = new Map();
+    for (const game of games) {
+        const rating = game[colorOfUser(game, u)]?.rating;
+        if (rating == null || game.rated === false)
+            continue;
+        const tc = (game.time_class || '').toLowerCase();
+        if (!byClass.has(tc))
+            byClass.set(tc, []);
+        byClass.get(tc).push({ t: game.end_time || 0, rating });
+    }
+    return [...byClass].map(([timeClass, points]) => ({ timeClass, points }));
+}
+// Line chart of rating series with min/max/current labels; empty string when there is nothing to plot
+function renderRatingChartSvg(series, opts) {
+    const width = opts?.width || 640;
+    const height = opts?.height || 260;
+    const pad = { left: 44, right: 56, top: 16, bottom: 44 };
+    const points = series.flatMap((s) => s.points);
+    if (points.length === 0)
+        return '';
+    let tMin = Math.min(...points.map((p) => p.t));
+    let tMax = Math.max(...points.map((p) => p.t));
+    if (tMin === tMax) {
+        tMin -= 86400;
+        tMax += 86400;
+    }
+    let rMin = Math.min(...points.map((p) => p.rating));
+    let rMax = Math.max(...points.map((p) => p.rating));
+    // Leave headroom for the labels above the peak and below the low
+    const margin = Math.max(10, Math.round((rMax - rMin) * 0.1));
+    rMin -= margin;
+    rMax += margin;
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const x = (t) => (pad.left + ((t - tMin) / (tMax - tMin)) * plotW).toFixed(1);
+    const y = (r) => (pad.top + (1 - (r - rMin) / (rMax - rMin)) * plotH).toFixed(1);
+    const parts = [`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" style="max-width:${width}px" font-family="var(--font-interface)" font-size="11" fill="currentColor">`];
+    // Horizontal grid with rating labels
+    for (let i = 0; i <= 4; i++) {
+        const r = rMin + ((rMax - rMin) * i) / 4;
+        parts.push(`<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(r)}" y2="${y(r)}" stroke="currentColor" stroke-opacity="0.15"/>`);
+        parts.push(`<text x="${pad.left - 6}" y="${y(r)}" text-anchor="end" dominant-baseline="central" fill-opacity="0.7">${Math.round(r)}</text>`);
+    }
+    const axisY = height - pad.bottom + 14;
+    parts.push(`<text x="${pad.left}" y="${axisY}" fill-opacity="0.7">${formatDateOnly(tMin, opts?.dateFormat)}</text>`);
+    parts.push(`<text x="${width - pad.right}" y="${axisY}" text-anchor="end" fill-opacity="0.7">${formatDateOnly(tMax, opts?.dateFormat)}</text>`);
+    let legendX = pad.left;
+    for (const s of series) {
+        const color = RATING_CHART_COLORS[s.timeClass] || '#888888';
+        const path = s.points.map((p, i) => `${i ? 'L' : 'M'}${x(p.t)} ${y(p.rating)}`).join(' ');
+        parts.push(`<path d="${path}" fill="none" stroke="${color}" stroke-width="1.8" stroke-linejoin="round"/>`);
+        let lo = s.points[0];
+        let hi = s.points[0];
+        for (const p of s.points) {
+            if (p.rating < lo.rating)
+                lo = p;
+            if (p.rating > hi.rating)
+                hi = p;
+        }
+        // The current rating's label says so itself when it is also the max or min
+        const last = s.points[s.points.length - 1];
+        const lastTags = [];
+        if (lo.rating !== hi.rating) {
+            if (last.rating === hi.rating)
+                lastTags.push('max');
+            else
+                parts.push(`<text x="${x(hi.t)}" y="${(Number(y(hi.rating)) - 6).toFixed(1)}" text-anchor="middle" fill="${color}">max ${hi.rating}</text>`);
+            if (last.rating === lo.rating)
+                lastTags.push('min');
+            else
+                parts.push(`<text x="${x(lo.t)}" y="${(Number(y(lo.rating)) + 14).toFixed(1)}" text-anchor="middle" fill="${color}">min ${lo.rating}</text>`);
+        }
+        parts.push(`<circle cx="${x(last.t)}" cy="${y(last.rating)}" r="3" fill="${color}"/>`);
+        parts.push(`<text x="${(Number(x(last.t)) + 6).toFixed(1)}" y="${y(last.rating)}" dominant-baseline="central" fill="${color}">${[last.rating, ...lastTags].join(' ')}</text>`);
+        // Legend along the bottom edge
+        const label = `${labelGameType(s.timeClass)} (${s.points.length})`;
+        parts.push(`<rect x="${legendX}" y="${height - 14}" width="10" height="10" fill="${color}"/>`);
+        parts.push(`<text x="${legendX + 14}" y="${height - 5}">${label}</text>`);
+        legendX += 24 + label.length * 6.5;
+    }
+    parts.push('</svg>');
+    return parts.join('');
+}
+// Openings the focus user played, per side: games, score and average opponent rating.
+// Rows are sorted by games played; `last` is the most recent game with that opening.
+function buildOpeningReport(games, username) {
+    const u = normalizeUsername(username);
+    const sides = { white: new Map(), black: new Map() };
+    for (const game of games) {
+        const color = colorOfUser(game, u);
+        if (!color)
+            continue;
+        const { headers } = parsePgn(game.pgn);
+        const opening = openingName(headers, game.eco) || headers.ECO || 'Unknown';
+        const rows = sides[color];
+        if (!rows.has(opening))
+            rows.set(opening, { opening, eco: headers.ECO || '', games: 0, points: 0, oppTotal: 0, oppCount: 0, last: null });
+        const row = rows.get(opening);
+        row.games++;
+        const outcome = outcomeCategory(game[color]?.result);
+        row.points += outcome === 'win' ? 1 : outcome === 'draw' ? 0.5 : 0;
+        const opp = game[color === 'white' ? 'black' : 'white'];
+        if (opp?.rating != null) {
+            row.oppTotal += opp.rating;
+            row.oppCount++;
+        }
+        if (!row.last || (game.end_time || 0) >= (row.last.end_time || 0))
+            row.last = game;
+        if (!row.eco && headers.ECO)
+            row.eco = headers.ECO;
+    }
+    const finish = (rows) => [...rows.values()]
+        .map((r) => ({
+        opening: r.opening,
+        eco: r.eco,
+        games: r.games,
+        score: Math.round((r.points / r.games) * 100),
+        avgOpponent: r.oppCount ? Math.round(r.oppTotal / r.oppCount) : null,
+        last: r.last,
+    }))
+        .sort((a, b) => b.games - a.games || a.opening.localeCompare(b.opening));
+    return { white: finish(sides.white), black: finish(sides.black) };
+}
+const OPENING_REPORT_COLUMNS = ['Opening', 'ECO', 'Games', 'Score', 'Avg. opponent', 'Last game'];
+// Opening report as two markdown tables (as White, as Black)
+function formatOpeningReportMarkdown(report, dateFormat) {
+    const cell = (text) => String(text).replace(/\|/g, '\\|');
+    const out = [];
+    for (const [side, rows] of [['White', report.white], ['Black', report.black]]) {
+        out.push(`#### As ${side}`, '');
+        if (rows.length === 0) {
+            out.push('No games.', '');
+            continue;
+        }
+        out.push(`| ${OPENING_REPORT_COLUMNS.join(' | ')} |`, `|${OPENING_REPORT_COLUMNS.map(() => '---').join('|')}|`);
+        for (const r of rows) {
+            const last = r.last ? `[${formatDateOnly(r.last.end_time, dateFormat)}](${r.last.url})` : '';
+            out.push(`| ${cell(r.opening)} | ${cell(r.eco)} | ${r.games} | ${r.score}% | ${r.avgOpponent ?? ''} | ${last} |`);
+        }
+        out.push('');
+    }
+    return out.join('\n').trim();
+}
+// Profile and stats handlebars of one side ('focus' or 'foe'); only fetched when a template uses them
+function profileVarNames(side) {
+    return [
+        `${side}_title`, `${side}_country`, `${side}_joined`, `${side}_puzzle_rating`,
+        ...SUMMARY_TIME_CLASSES.flatMap((tc) => [`${side}_best_${tc}`, `${side}_record_${tc}`]),
+    ];
+}
+function buildProfileVars(profile, side, dateFormat) {
+    const vars = {
+        [`${side}_title`]: profile.title || '',
+        [`${side}_country`]: profile.country || '',
+        [`${side}_joined`]: profile.joined ? formatDateOnly(profile.joined, dateFormat) : '',
+        [`${side}_puzzle_rating`]: profile.puzzleRating != null ? String(profile.puzzleRating) : '',
+    };
+    for (const tc of SUMMARY_TIME_CLASSES) {
+        const perf = profile.perfs?.[tc];
+        vars[`${side}_best_${tc}`] = perf?.best != null ? String(perf.best) : '';
+        vars[`${side}_record_${tc}`] = perf?.win != null ? `${perf.win}/${perf.loss || 0}/${perf.draw || 0}` : '';
+    }
+    return vars;
+}
+function buildPuzzleVars(puzzle, dateFormat) {
+    const toMove = (puzzle.fen.split(/\s+/)[1] || 'w') === 'b' ? 'black' : 'white';
+    return {
+        puzzle_title: puzzle.title,
+        puzzle_url: puzzle.url,
+        puzzle_date: puzzle.date ? formatDateOnly(puzzle.date, dateFormat) : '',
+        puzzle_fen: puzzle.fen,
+        puzzle_pgn: puzzle.pgn,
+        puzzle_solution: numberSanMoves(puzzle.solution, puzzle.fen),
+        puzzle_rating: puzzle.rating != null ? String(puzzle.rating) : '',
+        puzzle_themes: puzzle.themes.join(', '),
+        puzzle_to_move: toMove === 'white' ? 'White' : 'Black',
+        // Only the starting position, so the board doesn't give the solution away
+        puzzle_board: puzzle.fen ? ['```lastchess', `fen: ${puzzle.fen}`, `orientation: ${toMove}`, '```'].join('\n') : '',
+    };
+}
+function buildPuzzleStatsVars(stats, username, provider, dateFormat) {
+    const text = (v) => (v != null ? String(v) : '');
+    return {
+        focus: username,
+        focus_url: provider.profileUrl(username),
+        date: formatDateOnly(Math.floor(Date.now() / 1000), dateFormat),
+        puzzle_rating: text(stats.rating),
+        puzzle_rating_highest: text(stats.highest),
+        puzzle_rating_lowest: text(stats.lowest),
+        puzzle_rush_best: text(stats.rushBest),
+        puzzle_rush_attempts: text(stats.rushAttempts),
+        puzzle_streak_best: text(stats.streakBest),
+    };
+}
+// Handlebars every game template can use (default and lookup templates)
+const GAME_TEMPLATE_KEYS = [
+    'rated', 'rules', 'start_timestamp', 'end_timestamp', 'start_date', 'end_date', 'start_date_relative', 'end_date_relative',
+    'start_time', 'end_time',
+    'moves', 'move_list', 'time', 'url', 'game_type',
+    'white', 'white_url', 'white_rating', 'white_result',
+    'black', 'black_url', 'black_rating', 'black_result',
+    'winner', 'winner_url', 'winner_rating', 'loser', 'loser_url', 'loser_rating',
+    'focus', 'focus_url', 'focus_rating', 'focus_result',
+    'foe', 'foe_url', 'foe_rating', 'foe_result',
+    'rating_change', 'board',
+    'final_fen', 'termination', 'eco', 'opening', 'time_control',
+    'focus_time_left', 'foe_time_left', 'focus_avg_move_time', 'longest_think', 'longest_think_move', 'longest_think_seconds',
+    'time_trouble_moves', 'clock_sparkline', 'game_note', 'board_svg', 'board_image',
+    ...ANALYSIS_TEMPLATE_KEYS,
+    ...['focus', 'foe'].flatMap((side) => profileVarNames(side)),
+];
+// Handlebars of the session summary template
+const SUMMARY_TEMPLATE_KEYS = [
+    'focus', 'focus_url', 'start_date', 'end_date', 'games_count', 'wins', 'losses', 'draws',
+    'net_rating_change', 'peak_rating', 'best_win', 'best_win_url', 'best_win_rating', 'longest_streak', 'games',
+    ...SUMMARY_TIME_CLASSES.flatMap((tc) => ['games_count', 'wins', 'losses', 'draws', 'peak_rating', 'net_rating_change'].map((k) => `${k}_${tc}`)),
+];
+const HEAD_TO_HEAD_TEMPLATE_KEYS = [
+    'focus', 'focus_url', 'foe', 'foe_url', 'h2h_games', 'h2h_wins', 'h2h_losses', 'h2h_draws', 'h2h_score',
+    'h2h_last5', 'h2h_first_date', 'h2h_last_date', 'h2h_recent', 'games',
+    ...SUMMARY_TIME_CLASSES.flatMap((tc) => ['h2h_games', 'h2h_wins', 'h2h_losses', 'h2h_draws'].map((k) => `${k}_${tc}`)),
+];
+const PUZZLE_TEMPLATE_KEYS = [
+    'puzzle_title', 'puzzle_url', 'puzzle_date', 'puzzle_fen', 'puzzle_pgn', 'puzzle_solution',
+    'puzzle_rating', 'puzzle_themes', 'puzzle_to_move', 'puzzle_board',
+];
+const PUZZLE_STATS_TEMPLATE_KEYS = [
+    'focus', 'focus_url', 'date', 'puzzle_rating', 'puzzle_rating_highest', 'puzzle_rating_lowest',
+    'puzzle_rush_best', 'puzzle_rush_attempts', 'puzzle_streak_best',
+];
+// Item handlebars available inside {{#each <list>}}; lists not named here hold plain values ({{this}})
+const TEMPLATE_LIST_ITEMS = {
+    games: GAME_TEMPLATE_KEYS,
+    h2h_recent: GAME_TEMPLATE_KEYS,
+};
+// Removed/renamed handlebars still render as N/A so they don't leak into output
+const LEGACY_TEMPLATE_KEYS = [
+    'start', 'end', 'time_class', 'timeClass',
+    // removed in favor of focus/foe
+    'lookup', 'lookup_url', 'lookup_rating', 'lookup_result',
+    'other', 'other_url', 'other_rating', 'other_result'
+];
+const TEMPLATE_TAG_RE = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+const TEMPLATE_BLOCK_ARITY = { if: 1, unless: 1, each: 1, eq: 2, ne: 2 };
+const TEMPLATE_LOOP_KEYS = ['this', '@index', '@number', '@first', '@last'];
+const TEMPLATE_FILTERS = {
+    upper: (v) => v.toUpperCase(),
+    lower: (v) => v.toLowerCase(),
+    capitalize: (v) => v.charAt(0).toUpperCase() + v.slice(1),
+    trim: (v) => v.trim(),
+    default: (v, fallback = '') => (v.length > 0 ? v : fallback),
+    truncate: (v, len = '20', suffix = '…') => (v.length > Number(len) ? v.slice(0, Number(len)) + suffix : v),
+    join: (v) => v,
+};
+// Split on a separator (or whitespace when omitted) outside of double quotes
+function splitOutsideQuotes(str, sep) {
+    const parts = [];
+    let cur = '';
+    let quoted = false;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str[i];
+        if (ch === '\\' && quoted && i + 1 < str.length) {
+            cur += ch + str[++i];
+            continue;
+        }
+        if (ch === '"')
+            quoted = !quoted;
+        if (!quoted && (sep ? ch === sep : /\s/.test(ch))) {
+            if (sep || cur)
+                parts.push(cur);
+            cur = '';
+            continue;
+        }
+        cur += ch;
+    }
+    if (sep || cur)
+        parts.push(cur);
+    return parts;
+}
+function unquote(token) {
+    const t = token.trim();
+    if (t.length >= 2 && t.startsWith('"') && t.endsWith('"'))
+        return t.slice(1, -1).replace(/\\(.)/g, '$1');
+    return t;
+}
+// Parse a template into text/var/block nodes. Errors are collected rather than thrown so
+// rendering can still do its best with a half-typed template.
+function parseTemplate(tpl) {
+    const root = { children: [] };
+    const stack = [{ node: null, target: root.children }];
+    const errors = [];
+    const src = tpl || '';
+    let last = 0;
+    let m;
+    TEMPLATE_TAG_RE.lastIndex = 0;
+    while ((m = TEMPLATE_TAG_RE.exec(src))) {
+        const top = stack[stack.length - 1];
+        if (m.index > last)
+            top.target.push({ type: 'text', value: src.slice(last, m.index) });
+        last = TEMPLATE_TAG_RE.lastIndex;
+        const body = m[1];
+        if (body.startsWith('#')) {
+            const [name = '', ...args] = splitOutsideQuotes(body.slice(1));
+            if (!(name in TEMPLATE_BLOCK_ARITY))
+                errors.push(`Unknown block {{#${name}}}`);
+            else if (args.length !== TEMPLATE_BLOCK_ARITY[name])
+                errors.push(`{{#${name}}} expects ${TEMPLATE_BLOCK_ARITY[name]} argument${TEMPLATE_BLOCK_ARITY[name] === 1 ? '' : 's'}`);
+            const node = { type: 'block', name, args, children: [], alternate: [] };
+            top.target.push(node);
+            stack.push({ node, target: node.children });
+        }
+        else if (body.startsWith('/')) {
+            const name = body.slice(1).trim();
+            if (!top.node || top.node.name !== name) {
+                errors.push(`Unexpected {{/${name}}}`);
+                continue;
+            }
+            stack.pop();
+        }
+        else if (body === 'else') {
+            if (!top.node) {
+                errors.push('{{else}} outside of a block');
+                continue;
+            }
+            top.target = top.node.alternate;
+        }
+        else {
+            const [path, ...filterParts] = splitOutsideQuotes(body, '|');
+            const filters = filterParts.map((part) => {
+                const [name, ...args] = splitOutsideQuotes(part.trim(), ':');
+                return { name: name.trim(), args: args.map(unquote) };
+            });
+            stack[stack.length - 1].target.push({ type: 'var', path: path.trim(), filters, raw: m[0] });
+        }
+    }
+    if (last < src.length)
+        stack[stack.length - 1].target.push({ type: 'text', value: src.slice(last) });
+    for (let i = stack.length - 1; i > 0; i--)
+        errors.push(`Missing {{/${stack[i].node.name}}}`);
+    return { nodes: root.children, errors };
+}
+function lookupTemplateValue(path, scopes) {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        if (Object.prototype.hasOwnProperty.call(scopes[i], path))
+            return { found: true, value: scopes[i][path] };
+    }
+    return { found: false, value: undefined };
+}
+function templateValueToText(value) {
+    if (value === undefined || value === null)
+        return '';
+    if (Array.isArray(value))
+        return value.map(templateValueToText).join(', ');
+    return String(value);
+}
+function isTemplateTruthy(value) {
+    if (Array.isArray(value))
+        return value.length > 0;
+    return value !== undefined && value !== null && value !== false && value !== '';
+}
+// Block arguments are quoted literals, numbers or handlebar names
+function resolveTemplateArg(arg, scopes) {
+    if (arg.startsWith('"'))
+        return unquote(arg);
+    if (/^-?\d+(\.\d+)?$/.test(arg))
+        return arg;
+    return lookupTemplateValue(arg, scopes).value;
+}
+function renderTemplateNodes(nodes, scopes) {
+    let out = '';
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            out += node.value;
+        }
+        else if (node.type === 'var') {
+            const { found, value } = lookupTemplateValue(node.path, scopes);
+            // Unknown handlebars are left as written
+            if (!found) {
+                out += node.raw;
+                continue;
+            }
+            let v = value;
+            for (const f of node.filters) {
+                const fn = TEMPLATE_FILTERS[f.name];
+                if (!fn)
+                    continue;
+                if (f.name === 'join' && Array.isArray(v)) {
+                    v = v.map(templateValueToText).join(f.args[0] ?? ', ');
+                    continue;
+                }
+                v = fn(templateValueToText(v), ...f.args);
+            }
+            const text = templateValueToText(v);
+            const hasDefault = node.filters.some((f) => f.name === 'default');
+            out += text.length > 0 || hasDefault ? text : 'N/A';
+        }
+        else {
+            const args = node.args.map((a) => resolveTemplateArg(a, scopes));
+            if (node.name === 'each') {
+                const list = Array.isArray(args[0]) ? args[0] : [];
+                if (list.length === 0) {
+                    out += renderTemplateNodes(node.alternate, scopes);
+                    continue;
+                }
+                list.forEach((item, i) => {
+                    const scope = (item && typeof item === 'object') ? Object.assign({}, item) : {};
+                    Object.assign(scope, {
+                        this: item,
+                        '@index': String(i),
+                        '@number': String(i + 1),
+                        '@first': i === 0,
+                        '@last': i === list.length - 1,
+                    });
+                    out += renderTemplateNodes(node.children, [...scopes, scope]);
+                });
+                continue;
+            }
+            let pass;
+            if (node.name === 'eq')
+                pass = templateValueToText(args[0]) === templateValueToText(args[1]);
+            else if (node.name === 'ne')
+                pass = templateValueToText(args[0]) !== templateValueToText(args[1]);
+            else if (node.name === 'unless')
+                pass = !isTemplateTruthy(args[0]);
+            else
+                pass = isTemplateTruthy(args[0]);
+            out += renderTemplateNodes(pass ? node.children : node.alternate, scopes);
+        }
+    }
+    return out;
+}
+function renderTemplate(tpl, vars) {
+    const { nodes } = parseTemplate(tpl);
+    const legacy = Object.fromEntries(LEGACY_TEMPLATE_KEYS.map((k) => [k, '']));
+    return renderTemplateNodes(nodes, [Object.assign(legacy, vars)]).trim();
+}
+// Every handlebar name a template references, including block arguments
+function collectTemplateNames(nodes, out = new Set()) {
+    for (const node of nodes) {
+        if (node.type === 'var') {
+            out.add(node.path);
+        }
+        else if (node.type === 'block') {
+            for (const arg of node.args) {
+                if (!arg.startsWith('"') && !/^-?\d+(\.\d+)?$/.test(arg))
+                    out.add(arg);
+            }
+            collectTemplateNames(node.children, out);
+            collectTemplateNames(node.alternate, out);
+        }
+    }
+    return out;
+}
+function templateUsesVar(tpl, name) {
+    return collectTemplateNames(parseTemplate(tpl).nodes).has(name);
+}
+// Problems with a template as human-readable messages (empty when valid)
+function validateTemplate(tpl, knownKeys) {
+    const { nodes, errors } = parseTemplate(tpl);
+    const problems = [...errors];
+    const seen = new Set();
+    const report = (msg) => {
+        if (!seen.has(msg)) {
+            seen.add(msg);
+            problems.push(msg);
+        }
+    };
+    const checkName = (name, known) => {
+        if (!known.has(name))
+            report(`Unknown handlebar {{${name}}}`);
+    };
+    const walk = (list, known) => {
+        for (const node of list) {
+            if (node.type === 'var') {
+                checkName(node.path, known);
+                for (const f of node.filters) {
+                    if (!(f.name in TEMPLATE_FILTERS))
+                        report(`Unknown filter "${f.name}" in ${node.raw}`);
+                }
+            }
+            else if (node.type === 'block') {
+                for (const arg of node.args) {
+                    if (!arg.startsWith('"') && !/^-?\d+(\.\d+)?$/.test(arg))
+                        checkName(arg, known);
+                }
+                let inner = known;
+                if (node.name === 'each') {
+                    const itemKeys = TEMPLATE_LIST_ITEMS[node.args[0]] || [];
+                    inner = new Set([...known, ...itemKeys, ...TEMPLATE_LOOP_KEYS]);
+                }
+                walk(node.children, inner);
+                walk(node.alternate, known);
+            }
+        }
+    };
+    walk(nodes, new Set([...knownKeys, ...LEGACY_TEMPLATE_KEYS]));
+    return problems;
+}
+// Stable API for other plugins and scripts (Templater, QuickAdd, Dataview):
+// app.plugins.plugins['last-chess-game'].api. Failed fetches reject with the typed errors in `errors`.
+class LastChessApi {
+    constructor(plugin) {
+        this.plugin = plugin;
+        this.version = 1;
+        this.errors = { LastChessError, UserNotFoundError, UserClosedError, NoGamesError, OfflineError, RateLimitError, RequestTimeoutError, HttpError };
+    }
+    // `user` defaults to the configured username and `site` ('chesscom' | 'lichess') to the configured site
+    target(opts) {
+        const user = (opts?.user || this.plugin.settings.username || '').trim();
+        if (!user)
+            throw new LastChessError('No user given and no username set in the plugin settings');
+        return { user, provider: this.plugin.getProvider(opts?.site) };
+    }
+    // Finished games, oldest first. `since`/`until` take unix seconds, a Date or a 'YYYY-MM-DD' day;
+    // `timeClass` is e.g. 'blitz', `vs` an opponent. Without `since`, the last 7 days.
+    async getGames(opts) {
+        const { user, provider } = this.target(opts);
+        const until = opts?.until != null ? toUnixTime(opts.until) : undefined;
+        const since = opts?.since != null ? toUnixTime(opts.since) : dayStartUnix(zonedToday().subtract(7, 'days'));
+        return provider.getGames(user, { since, until, timeClass: opts?.timeClass, vs: opts?.vs });
+    }
+    // { game, meColor } for the user's latest finished game, or null
+    async getLastGame(opts) {
+        const { user, provider } = this.target(opts);
+        return provider.getLastGame(user, { timeClass: opts?.timeClass });
+    }
+    async getProfile(opts) {
+        const { user, provider } = this.target(opts);
+        return this.plugin.getProfile(provider, user, !!opts?.records);
+    }
+    // Handlebar values of a game, seen from `user` (or White when they didn't play it)
+    async getTemplateVars(game, opts) {
+        const { user } = this.target(opts);
+        const color = colorOfUser(game, normalizeUsername(user)) || 'white';
+        return buildTemplateVars(game, color, user, this.plugin.settings.dateFormat, this.plugin.settings.timeFormat, this.plugin.providerForUrl(game.url));
+    }
+    // Render a game with a template (default: the plugin's default template), including
+    // profile, board image and analysis handlebars
+    async render(game, template, opts) {
+        const { user } = this.target(opts);
+        const color = colorOfUser(game, normalizeUsername(user)) || 'white';
+        return this.plugin.renderGame(template ?? this.plugin.settings.templateDefault, game, color, user, this.plugin.providerForUrl(game.url));
+    }
+    // The user's latest game rendered with `template`, or '' when there is none
+    async renderLastGame(opts) {
+        const { user, provider } = this.target(opts);
+        const res = await provider.getLastGame(user, { timeClass: opts?.timeClass });
+        if (!res)
+            return '';
+        return this.plugin.renderGame(opts?.template ?? this.plugin.settings.templateDefault, res.game, res.meColor, user, provider);
+    }
+    // The template engine on its own, for vars of your own
+    renderTemplate(template, vars) {
+        return renderTemplate(template, vars);
+    }
+}
+// Unix seconds from seconds, milliseconds, a Date or a date string; a bare 'YYYY-MM-DD' day starts
+// at midnight in the configured time zone
+function toUnixTime(value) {
+    if (value instanceof Date)
+        return Math.floor(value.getTime() / 1000);
+    if (typeof value === 'number')
+        return value > 1e11 ? Math.floor(value / 1000) : value;
+    const day = (0, obsidian_1.moment)(String(value), 'YYYY-MM-DD', true);
+    if (day.isValid())
+        return dayStartUnix(day);
+    const m = (0, obsidian_1.moment)(String(value), obsidian_1.moment.ISO_8601, true);
+    if (!m.isValid())
+        throw new LastChessError(`Not a date: ${value}`);
+    return m.unix();
+}
+class LastChessComGamePlugin extends obsidian_1.Plugin {
+    constructor() {
+        super(...arguments);
+        this.statusBarEl = null;
+        this.busyCount = 0;
+        // Monthly archives persisted in the plugin folder
+        this.pluginDir = this.manifest.dir || `${this.app.vault.configDir}/plugins/${this.manifest.id}`;
+        this.archiveCache = new ArchiveCache(this.app.vault.adapter, `${this.pluginDir}/cache`);
+        // Game sources, keyed by the `site` setting value
+        this.providers = {
+            chesscom: new ChessComProvider(this.archiveCache),
+            lichess: new LichessProvider(),
+        };
+        // Command ids we own (for dynamic renaming)
+        this.cmdIds = {
+            any: 'last-game-played-any',
+            daily: 'last-game-played-daily',
+            blitz: 'last-game-played-blitz',
+            rapid: 'last-game-played-rapid',
+            bullet: 'last-game-played-bullet',
+            lookup: 'lookup-user-last-game',
+            noteDate: 'insert-games-on-note-date',
+            summary: 'insert-session-summary',
+            saveNote: 'save-last-game-as-note',
+            importAll: 'import-all-games',
+            syncNow: 'sync-new-games',
+            openings: 'insert-opening-report',
+            headToHead: 'insert-head-to-head',
+            pickGames: 'pick-games',
+            dailyGames: 'insert-daily-games',
+            puzzle: 'insert-daily-puzzle',
+            puzzleStats: 'insert-puzzle-stats',
+            placeholders: 'resolve-placeholders',
+        };
+        this.autoSyncTimer = null;
+        this.syncing = false;
+        // Shown in the status bar while nothing is loading
+        this.idleStatus = '';
+        this.dailyStatusTimer = null;
+        // Player profiles by `<site>:<username>`, kept for PROFILE_CACHE_SECONDS
+        this.profileCache = new Map();
+        // Engine analysis by game url and search budget, kept for the session
+        this.analysisCache = new Map();
+        this.engineHintShown = false;
+        this.engineFailureShown = false;
+        // Paths the plugin is creating itself, which the placeholder hook leaves alone
+        this.writingPaths = new Set();
+    }
+    async onload() {
+        await this.loadSettings();
+        this.archiveCache.enabled = this.settings.cacheArchives;
+        this.addSettingTab(new LastChessSettingTab(this.app, this));
+        // Status bar
+        this.statusBarEl = this.addStatusBarItem();
+        this.clearBusy();
+        // Commands (Command Palette)
+        this.registerCommands();
+        // ```lastchess blocks render an interactive board
+        this.registerMarkdownCodeBlockProcessor('lastchess', (source, el, ctx) => this.renderBoardBlock(source, el, ctx));
+        // ```lastchess-rating blocks chart a user's rating over time
+        this.registerMarkdownCodeBlockProcessor('lastchess-rating', (source, el) => this.renderRatingBlock(source, el));
+        // ```lastchess-daily blocks list daily games in progress
+        this.registerMarkdownCodeBlockProcessor('lastchess-daily', (source, el) => this.renderDailyBlock(source, el));
+        // ```lastchess-openings blocks tabulate a user's openings
+        this.registerMarkdownCodeBlockProcessor('lastchess-openings', (source, el) => this.renderOpeningsBlock(source, el));
+        // For other plugins and scripts, plus obsidian://last-chess-game links
+        this.api = new LastChessApi(this);
+        this.registerObsidianProtocolHandler('last-chess-game', (params) => this.handleUri(params));
+        // Auto sync once the vault is ready, then on the configured interval
+        this.app.workspace.onLayoutReady(() => {
+            if (this.settings.autoSync)
+                this.syncNewGames({ automatic: true });
+            this.scheduleAutoSync();
+            this.scheduleDailyStatus();
+            // Registered once the vault has loaded, so existing notes don't count as new.
+            // Only daily notes the user creates are resolved: not templates, and not notes this plugin writes.
+            this.registerEvent(this.app.vault.on('create', (file) => {
+                if (!this.settings.resolvePlaceholders || !(file instanceof obsidian_1.TFile) || this.writingPaths.has(file.path))
+                    return;
+                if (isDailyNotePath(this.app, file.path) && !isTemplatePath(this.app, file.path))
+                    window.setTimeout(() => this.resolvePlaceholders(file, { automatic: true }), PLACEHOLDER_DELAY_MS);
+            }));
+        });
+        console.log('Last Chess.com Game plugin loaded');
+    }
+    onunload() {
+        console.log('Last Chess.com Game plugin unloaded');
+    }
+    // Create a file, marked as the plugin's own while the vault announces it
+    async createFile(path, content) {
+        this.writingPaths.add(path);
+        try {
+            return await this.app.vault.create(path, content);
+        }
+        finally {
+            this.writingPaths.delete(path);
+        }
+    }
+    // Render every chess placeholder in a note, replacing the output of earlier runs
+    async resolvePlaceholders(file, opts) {
+        const content = await this.app.vault.read(file);
+        const matches = [...content.matchAll(PLACEHOLDER_RE)];
+        if (matches.length === 0) {
+            if (!opts?.automatic)
+                new obsidian_1.Notice('No chess placeholders in this note.');
+            return;
+        }
+        this.beginBusy('Resolving chess placeholders…');
+        // Rendered blocks by placeholder text; identical placeholders are only fetched once
+        const rendered = new Map();
+        let failure = null;
+        try {
+            for (const m of matches) {
+                if (rendered.has(m[0]))
+                    continue;
+                const options = parsePlaceholder(m[1], m[2]);
+                try {
+                    rendered.set(m[0], formatPlaceholder(options, await this.renderPlaceholder(options, file)));
+                }
+                catch (e) {
+                    console.error('[LastChess] Failed to resolve placeholder', m[0], e);
+                    failure = failure || { e, provider: this.getProvider(options.site) };
+                }
+            }
+            // The note may have been edited meanwhile: only swap placeholders that are still there
+            await this.app.vault.process(file, (current) => current.replace(PLACEHOLDER_RE, (match) => rendered.get(match) ?? match));
+        }
+        finally {
+            this.endBusy();
+        }
+        if (failure)
+            new obsidian_1.Notice(describeError(failure.e, failure.provider));
+        else if (!opts?.automatic)
+            new obsidian_1.Notice(`Resolved ${rendered.size} chess placeholder${rendered.size === 1 ? '' : 's'}.`);
+    }
+    // Options: user, site, type (time class), template (default | lookup) and date: `latest` (the
+    // last game, default), `note` (games on the note's date), `today` or a YYYY-MM-DD day
+    async renderPlaceholder(options, file) {
+        const username = options.user || this.settings.username;
+        if (!username)
+            throw new LastChessError('No user in the placeholder and no username in the settings');
+        const provider = this.getProvider(options.site);
+        const timeClass = options.type && options.type !== 'any' ? options.type.toLowerCase() : undefined;
+        const template = options.template === 'lookup' ? this.settings.templateOtherUser : this.settings.templateDefault;
+        const date = (options.date || 'latest').toLowerCase();
+        if (date === 'latest') {
+            const res = await provider.getLastGame(username, { timeClass });
+            return res ? this.renderGame(template, res.game, res.meColor, username, provider) : '';
+        }
+        let day;
+        if (date === 'note')
+            day = getNoteDate(this.app, file) || zonedToday();
+        else if (date === 'today')
+            day = zonedToday();
+        else
+            day = (0, obsidian_1.moment)(options.date, 'YYYY-MM-DD', true);
+        if (!day.isValid())
+            throw new LastChessError(`Not a date: ${options.date}`);
+        const games = await provider.getGames(username, {
+            since: dayStartUnix(day),
+            until: dayStartUnix(day.clone().add(1, 'day')),
+            timeClass,
+        });
+        const u = normalizeUsername(username);
+        const lines = [];
+        for (const game of games)
+            lines.push(await this.renderGame(template, game, colorOfUser(game, u), username, provider, games));
+        return lines.join('\n');
+    }
+    // obsidian://last-chess-game?user=…&type=blitz&site=lichess&target=…
+    // `target`: omitted or `cursor` for the active note, `daily` for today's daily note (under
+    // `heading`, default the auto sync heading), or a note path, created if missing. Paths outside the
+    // game notes folder need the user's confirmation.
+    async handleUri(params) {
+        const username = (params.user || this.settings.username || '').trim();
+        if (!username) {
+            new obsidian_1.Notice('Add a user to the link or set your username in the plugin settings.');
+            return;
+        }
+        const timeClass = params.type && params.type !== 'any' ? params.type.toLowerCase() : undefined;
+        const provider = this.getProvider(params.site);
+        const own = normalizeUsername(username) === normalizeUsername(this.settings.username);
+        const template = params.template === 'lookup' || (!own && params.template !== 'default') ? this.settings.templateOtherUser : this.settings.templateDefault;
+        const target = (params.target || 'cursor').trim();
+        if (target === 'cursor' && !this.app.workspace.getActiveViewOfType(obsidian_1.MarkdownView)) {
+            new obsidian_1.Notice('Open a note to insert the last game.');
+            return;
+        }
+        let path = null;
+        if (target !== 'cursor' && target !== 'daily') {
+            path = linkedNotePath(target);
+            if (!path) {
+                new obsidian_1.Notice(`Not a note path inside the vault: ${target}`);
+                return;
+            }
+            const folder = (0, obsidian_1.normalizePath)(this.settings.gameNotesFolder || exports.DEFAULT_SETTINGS.gameNotesFolder);
+            if (!path.startsWith(`${folder}/`)) {
+                const exists = this.app.vault.getAbstractFileByPath(path) instanceof obsidian_1.TFile;
+                const modal = new ConfirmModal(this.app, 'Add last game', `A link wants to add the last game of ${username} to ${exists ? 'the note' : 'a new note'} "${path}". Continue?`, 'Add');
+                modal.open();
+                if (!(await modal.result))
+                    return;
+            }
+        }
+        this.beginBusy(`Fetching from ${provider.label}…`);
+        try {
+            const res = await provider.getLastGame(username, { timeClass });
+            if (!res) {
+                new obsidian_1.Notice(describeError(await this.noGamesError(provider, username, timeClass), provider));
+                return;
+            }
+            const text = await this.renderGame(template, res.game, res.meColor, username, provider);
+            if (target === 'cursor') {
+                const view = this.app.workspace.getActiveViewOfType(obsidian_1.MarkdownView);
+                if (view)
+                    this.insertIntoEditor(view, text);
+                return;
+            }
+            let file;
+            if (target === 'daily') {
+                file = await this.getOrCreateDailyNote();
+                await this.app.vault.process(file, (content) => appendUnderHeading(content, params.heading ?? this.settings.autoSyncHeading ?? '', [text]));
+            }
+            else {
+                file = this.app.vault.getAbstractFileByPath(path);
+                if (file instanceof obsidian_1.TFile) {
+                    await this.app.vault.process(file, (content) => (content.trim() ? `${content.replace(/\n*$/, '')}\n${text}\n` : `${text}\n`));
+                }
+                else {
+                    const folder = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+                    if (folder)
+                        await ensureFolder(this.app, folder);
+                    file = await this.createFile(path, `${text}\n`);
+                }
+            }
+            new obsidian_1.Notice(`Added the last game of ${username} to ${file.basename}.`);
+        }
+        catch (e) {
+            console.error('[LastChess] Failed to handle link', e);
+            new obsidian_1.Notice(describeError(e, provider));
+        }
+        finally {
+            this.endBusy();
+        }
+    }
+    getProvider(site) {
+        return this.providers[site || this.settings.site] || this.providers.chesscom;
+    }
+    providerForUrl(url) {
+        return /lichess\.org/i.test(url || '') ? this.providers.lichess : this.providers.chesscom;
+    }
+    beginBusy(text = 'Fetching games…') {
+        this.busyCount++;
+        if (this.statusBarEl)
+            this.statusBarEl.setText(text);
+    }
+    endBusy() {
+        this.busyCount = Math.max(0, this.busyCount - 1);
+        if (this.busyCount === 0)
+            this.clearBusy();
+    }
+    clearBusy() {
+        if (this.statusBarEl)
+            this.statusBarEl.setText(this.idleStatus);
+    }
+    async ensureDefaultUsername() {
+        let u = this.settings.username?.trim();
+        if (!u) {
+            const input = window.prompt(`Enter your ${this.getProvider().label} username`) ?? '';
+            const trimmed = input.trim();
+            if (!trimmed)
+                return null;
+            u = trimmed;
+            this.settings.username = u;
+            await this.saveSettings();
+            this.updateCommandNames();
+        }
+        return u;
+    }
+    nameUser() {
+        return this.settings.username?.trim() || '>USER<';
+    }
+    nameAny() { return `Last game played by ${this.nameUser()} regardless of type`; }
+    nameDaily() { return `Last Daily played by ${this.nameUser()}`; }
+    nameBlitz() { return `Last Blitz played by ${this.nameUser()}`; }
+    nameRapid() { return `Last Rapid played by ${this.nameUser()}`; }
+    nameBullet() { return `Last Bullet played by ${this.nameUser()}`; }
+    namePlayerCommand(player, timeClass) {
+        const who = player.alias || player.username || '>USER<';
+        if (timeClass === 'any')
+            return `Last game played by ${who} regardless of type`;
+        const label = GAME_TYPE_OPTIONS.find((o) => o.value === timeClass)?.label || timeClass;
+        return `Last ${label} played by ${who}`;
+    }
+    playerCommandKey(player, timeClass) {
+        return `player:${player.id}:${timeClass}`;
+    }
+    // One command per tracked player and enabled game type; ids are added to cmdIds so renaming
+    // and re-registering treat them like the built-in commands
+    registerPlayerCommands() {
+        for (const key of Object.keys(this.cmdIds)) {
+            if (key.startsWith('player:'))
+                delete this.cmdIds[key];
+        }
+        for (const player of this.settings.players) {
+            for (const timeClass of player.timeClasses) {
+                const id = `player-${player.id}-${timeClass}`;
+                this.cmdIds[this.playerCommandKey(player, timeClass)] = id;
+                this.addCommand({
+                    id,
+                    name: this.namePlayerCommand(player, timeClass),
+                    callback: async () => {
+                        if (!player.username) {
+                            new obsidian_1.Notice('Set a username for this player in the plugin settings.');
+                            return;
+                        }
+                        await this.fetchInsert(player.username, player.template || this.settings.templateDefault, { lookupUsername: '' }, { timeClass: timeClass === 'any' ? undefined : timeClass, site: player.site });
+                    },
+                });
+            }
+        }
+    }
+    fullCommandId(shortId) {
+        // In Obsidian, command ids are stored as '<plugin-id>:<shortId>'
+        return `${this.manifest.id}:${shortId}`;
+    }
+    registerCommands() {
+        // Time-class specific commands (default user) — order: Daily, Rapid, Blitz, Bullet
+        this.addCommand({
+            id: this.cmdIds.daily,
+            name: this.nameDaily(),
+            callback: async () => {
+                const u = await this.ensureDefaultUsername();
+                if (!u)
+                    return;
+                await this.fetchInsert(u, this.settings.templateDefault, { lookupUsername: '' }, { timeClass: 'daily' });
+            },
+        });
+        this.addCommand({
+            id: this.cmdIds.rapid,
+            name: this.nameRapid(),
+            callback: async () => {
+                const u = await this.ensureDefaultUsername();
+                if (!u)
+                    return;
+                await this.fetchInsert(u, this.settings.templateDefault, { lookupUsername: '' }, { timeClass: 'rapid' });
+            },
+        });
+        this.addCommand({
+            id: this.cmdIds.blitz,
+            name: this.nameBlitz(),
+            callback: async () => {
+                const u = await this.ensureDefaultUsername();
+                if (!u)
+                    return;
+                await this.fetchInsert(u, this.settings.templateDefault, { lookupUsername: '' }, { timeClass: 'blitz' });
+            },
+        });
+        this.addCommand({
+            id: this.cmdIds.bullet,
+            name: this.nameBullet(),
+            callback: async () => {
+                const u = await this.ensureDefaultUsername();
+                if (!u)
+                    return;
+                await this.fetchInsert(u, this.settings.templateDefault, { lookupUsername: '' }, { timeClass: 'bullet' });
+            },
+        });
+        // Lookup command (modal)
+        this.addCommand({
+            id: this.cmdIds.lookup,
+            name: 'Lookup user…',
+            callback: async () => {
+                new LookupUserModal(this.app, this).open();
+            },
+        });
+        // Choose one or more of the default user's recent games from a list
+        this.addCommand({
+            id: this.cmdIds.pickGames,
+            name: 'Pick games to insert…',
+            callback: async () => {
+                const u = await this.ensureDefaultUsername();
+                if (!u)
+                    return;
+                await this.pickGames(u);
+            },
+        });
+        // Correspondence games still running, with whose move it is
+        this.addCommand({
+            id: this.cmdIds.dailyGames,
+            name: 'Insert daily games in progress',
+            callback: async () => {
+                const u = await this.ensureDefaultUsername();
+                if (!u)
+                    return;
+                await this.insertDailyGames(u);
+            },
+        });
+        // Training: today's puzzle and the default user's puzzle stats
+        this.addCommand({
+            id: this.cmdIds.puzzle,
+            name: 'Insert daily puzzle',
+            callback: async () => {
+                await this.insertDailyPuzzle();
+            },
+        });
+        this.addCommand({
+            id: this.cmdIds.puzzleStats,
+            name: 'Insert puzzle stats',
+            callback: async () => {
+                const u = await this.ensureDefaultUsername();
+                if (!u)
+                    return;
+                await this.insertPuzzleStats(u);
+            },
+        });
+        this.addCommand({
+            id: this.cmdIds.placeholders,
+            name: 'Resolve chess placeholders in this note',
+            callback: async () => {
+                const file = this.app.workspace.getActiveFile();
+                if (!file) {
+                    new obsidian_1.Notice('Open a note to resolve its chess placeholders.');
+                    return;
+                }
+                await this.resolvePlaceholders(file);
+            },
+        });
+        // Record between two players, starting from the default user
+        this.addCommand({
+            id: this.cmdIds.headToHead,
+            name: 'Head-to-head…',
+            callback: async () => {
+                new LookupUserModal(this.app, this, 'h2h').open();
+            },
+        });
+        // Every game the default user finished on the active note's date
+        this.addCommand({
+            id: this.cmdIds.noteDate,
+            name: 'Insert all games played on this note\'s date',
+            callback: async () => {
+                const u = await this.ensureDefaultUsername();
+                if (!u)
+                    return;
+                new GameTypeSuggestModal(this.app, async (choice) => {
+                    await this.insertGamesOnNoteDate(u, choice === 'any' ? undefined : choice);
+                }).open();
+            },
+        });
+        // Aggregate summary of the default user's games over a date range
+        this.addCommand({
+            id: this.cmdIds.summary,
+            name: 'Insert session summary…',
+            callback: async () => {
+                const u = await this.ensureDefaultUsername();
+                if (!u)
+                    return;
+                new SummaryRangeModal(this.app, async (since, until) => {
+                    await this.insertSummary(u, since, until);
+                }).open();
+            },
+        });
+        // Openings played as White and Black over a date range
+        this.addCommand({
+            id: this.cmdIds.openings,
+            name: 'Insert opening report…',
+            callback: async () => {
+                const u = await this.ensureDefaultUsername();
+                if (!u)
+                    return;
+                new SummaryRangeModal(this.app, async (since, until) => {
+                    await this.insertOpeningReport(u, since, until);
+                }, 'Opening report').open();
+            },
+        });
+        // Save the default user's last game as its own note and link to it
+        this.addCommand({
+            id: this.cmdIds.saveNote,
+            name: 'Save last game as note…',
+            callback: async () => {
+                const u = await this.ensureDefaultUsername();
+                if (!u)
+                    return;
+                new GameTypeSuggestModal(this.app, async (choice) => {
+                    await this.saveLastGameAsNote(u, choice === 'any' ? undefined : choice);
+                }).open();
+            },
+        });
+        // Same as an auto sync run, on demand
+        this.addCommand({
+            id: this.cmdIds.syncNow,
+            name: 'Sync new games into today\'s daily note',
+            callback: async () => {
+                await this.syncNewGames({ automatic: false });
+            },
+        });
+        // Bulk import of a user's whole archive into the vault
+        this.addCommand({
+            id: this.cmdIds.importAll,
+            name: 'Import all games for user…',
+            callback: async () => {
+                new ImportModal(this.app, this).open();
+            },
+        });
+        this.registerPlayerCommands();
+        // Last game regardless of type (default user) — keep registered last
+        this.addCommand({
+            id: this.cmdIds.any,
+            name: this.nameAny(),
+            callback: async () => {
+                const u = await this.ensureDefaultUsername();
+                if (!u)
+                    return;
+                await this.fetchInsert(u, this.settings.templateDefault, { lookupUsername: u });
+            },
+        });
+    }
+    reRegisterCommands() {
+        const commands = this.app.commands;
+        try {
+            // Attempt to remove existing commands so we can re-add with new names
+            const ids = Object.values(this.cmdIds);
+            for (const sid of ids) {
+                const fullId = this.fullCommandId(sid);
+                if (commands?.commands?.[fullId] && typeof commands.removeCommand === 'function') {
+                    try {
+                        commands.removeCommand(fullId);
+                    }
+                    catch { }
+                }
+            }
+        }
+        catch { }
+        // Re-add with current username reflected in names
+        this.registerCommands();
+    }
+    updateCommandNames() {
+        const cmds = {
+            [this.cmdIds.any]: this.nameAny(),
+            [this.cmdIds.daily]: this.nameDaily(),
+            [this.cmdIds.blitz]: this.nameBlitz(),
+            [this.cmdIds.rapid]: this.nameRapid(),
+            [this.cmdIds.bullet]: this.nameBullet(),
+            [this.cmdIds.lookup]: 'Lookup user…',
+            [this.cmdIds.noteDate]: 'Insert all games played on this note\'s date',
+            [this.cmdIds.summary]: 'Insert session summary…',
+            [this.cmdIds.saveNote]: 'Save last game as note…',
+            [this.cmdIds.importAll]: 'Import all games for user…',
+            [this.cmdIds.syncNow]: 'Sync new games into today\'s daily note',
+            [this.cmdIds.openings]: 'Insert opening report…',
+            [this.cmdIds.headToHead]: 'Head-to-head…',
+            [this.cmdIds.pickGames]: 'Pick games to insert…',
+            [this.cmdIds.dailyGames]: 'Insert daily games in progress',
+            [this.cmdIds.puzzle]: 'Insert daily puzzle',
+            [this.cmdIds.puzzleStats]: 'Insert puzzle stats',
+            [this.cmdIds.placeholders]: 'Resolve chess placeholders in this note',
+        };
+        for (const player of this.settings.players) {
+            for (const timeClass of player.timeClasses) {
+                const id = this.cmdIds[this.playerCommandKey(player, timeClass)];
+                if (id)
+                    cmds[id] = this.namePlayerCommand(player, timeClass);
+            }
+        }
+        const commands = this.app.commands;
+        if (!commands)
+            return;
+        let updated = false;
+        for (const [shortId, name] of Object.entries(cmds)) {
+            const fullId = this.fullCommandId(shortId);
+            const cmd = commands.commands?.[fullId];
+            if (cmd) {
+                cmd.name = name;
+                if (typeof commands.updateCommand === 'function') {
+                    try {
+                        commands.updateCommand(cmd);
+                        updated = true;
+                    }
+                    catch { }
+                }
+            }
+        }
+        // If we couldn't update (older API), re-register commands to refresh names
+        if (!updated || typeof commands.updateCommand !== 'function') {
+            this.reRegisterCommands();
+        }
+    }
+    async fetchInsert(username, template, extraVars, opts) {
+        const view = this.app.workspace.getActiveViewOfType(obsidian_1.MarkdownView);
+        if (!view) {
+            new obsidian_1.Notice('Open a note to insert the last game.');
+            return;
+        }
+        const provider = this.getProvider(opts?.site);
+        this.beginBusy(`Fetching from ${provider.label}…`);
+        try {
+            const label = opts?.timeClass ? ` ${opts.timeClass}` : '';
+            const res = await provider.getLastGame(username, { timeClass: opts?.timeClass });
+            if (!res) {
+                new obsidian_1.Notice(describeError(await this.noGamesError(provider, username, opts?.timeClass), provider));
+                return;
+            }
+            const text = await this.renderGame(template, res.game, res.meColor, extraVars.lookupUsername || username, provider);
+            this.insertIntoEditor(view, text);
+            new obsidian_1.Notice(`Inserted last${label} game.`);
+        }
+        catch (e) {
+            console.error('[LastChess] Failed to fetch/insert', e);
+            new obsidian_1.Notice(describeError(e, provider));
+        }
+        finally {
+            this.endBusy();
+        }
+    }
+    // Render a game template, fetching profile/stats handlebars only when the template uses them
+    async renderGame(template, game, meColor, username, provider, history) {
+        const vars = await buildTemplateVars(game, meColor, username, this.settings.dateFormat, this.settings.timeFormat, provider, history);
+        await this.addProfileVars(template, vars, provider);
+        await this.addBoardImageVars(template, vars, game, meColor);
+        await this.addAnalysisVars(template, vars, game, meColor);
+        return renderTemplate(template, vars);
+    }
+    async addAnalysisVars(template, vars, game, meColor) {
+        const used = collectTemplateNames(parseTemplate(template).nodes);
+        if (!ANALYSIS_TEMPLATE_KEYS.some((k) => used.has(k)))
+            return;
+        if (!this.settings.enginePath) {
+            // Once per session; imports and syncs would otherwise show it for every game
+            if (!this.engineHintShown)
+                new obsidian_1.Notice('Set an analysis engine in the settings to fill in the analysis handlebars.');
+            this.engineHintShown = true;
+            return;
+        }
+        const pgnGame = loadPgn(game.pgn || '');
+        if (pgnGame.replay.moves.length === 0)
+            return;
+        // Results depend on the search budget, so a changed setting analyses again
+        const key = `${game.url || game.uuid}:${this.settings.engineDepth}:${this.settings.engineMoveTime}`;
+        try {
+            let analysis = this.analysisCache.get(key);
+            if (!analysis) {
+                const engine = await UciEngine.open(this.app, this.settings.enginePath);
+                try {
+                    analysis = await analyzeGame(engine, pgnGame.replay, {
+                        depth: this.settings.engineDepth,
+                        movetime: this.settings.engineMoveTime,
+                        onProgress: (i, total) => this.statusBarEl?.setText(`Analyzing ${i + 1}/${total}…`),
+                    });
                 }
+                finally {
+                    engine.quit();
+                }
+                this.analysisCache.set(key, analysis);
             }
+            Object.assign(vars, buildAnalysisVars(pgnGame, analysis, meColor));
+        }
+        catch (e) {
+            console.warn('[LastChess] Engine analysis failed', e);
+            // Once per session like the engine hint; the console has every failure
+            if (!this.engineFailureShown)
+                new obsidian_1.Notice(`Engine analysis failed: ${e.message}`);
+            this.engineFailureShown = true;
         }
-        if (usernames.length === 0)
-            return null;
-        const pick = usernames[Math.floor(Math.random() * usernames.length)];
-        return pick;
     }
-    catch {
-        return null;
+    // Colors and piece set for board diagrams
+    boardStyle() {
+        const theme = BOARD_THEMES[this.settings.boardTheme] || BOARD_THEMES.brown;
+        return {
+            pieceSet: this.settings.boardPieceSet,
+            lightColor: this.settings.boardLightColor || theme.light,
+            darkColor: this.settings.boardDarkColor || theme.dark,
+        };
     }
-}
-async function getLastGameForUser(username, opts) {
-    const u = normalizeUsername(username);
-    if (!u)
-        return null;
-    const indexUrl = `https://api.chess.com/pub/player/${encodeURIComponent(u)}/games/archives`;
-    const idx = await fetchJson(indexUrl);
-    const archives = idx.archives || [];
-    if (archives.length === 0)
-        return null;
-    // Iterate from latest archive backwards until we find a matching game
-    for (let i = archives.length - 1; i >= 0; i--) {
-        const month = await fetchJson(archives[i]);
-        const games = month.games || [];
-        if (games.length === 0)
-            continue;
-        // Choose candidate set: if filtering by time class, prefilter
-        const candidates = opts?.timeClass
-            ? games.filter((g) => g.time_class?.toLowerCase() === opts.timeClass)
-            : games;
-        if (candidates.length === 0)
-            continue;
-        // Pick most recent by end_time
-        let latest = candidates[candidates.length - 1];
-        for (const g of candidates) {
-            if (!latest?.end_time || (g.end_time && g.end_time > latest.end_time)) {
-                latest = g;
+    async addBoardImageVars(template, vars, game, meColor) {
+        const used = collectTemplateNames(parseTemplate(template).nodes);
+        if (!used.has('board_svg') && !used.has('board_image'))
+            return;
+        try {
+            const file = await this.saveBoardImage(game, meColor);
+            if (file) {
+                vars.board_svg = file.path;
+                vars.board_image = '!' + this.app.fileManager.generateMarkdownLink(file, '');
             }
         }
-        if (!latest)
-            continue;
-        const wu = normalizeUsername(latest.white?.username);
-        const bu = normalizeUsername(latest.black?.username);
-        let meColor = null;
-        if (wu === u)
-            meColor = 'white';
-        else if (bu === u)
-            meColor = 'black';
-        if (!meColor)
-            continue;
-        return { game: latest, meColor, meUsername: username };
+        catch (e) {
+            console.warn('[LastChess] Failed to save board image', e);
+        }
     }
-    return null;
-}
-// Find the previous game (same time class) that ended before a given end_time
-async function getPreviousGameForUser(username, timeClass, beforeEndTime) {
-    const u = normalizeUsername(username);
-    if (!u)
-        return null;
-    const indexUrl = `https://api.chess.com/pub/player/${encodeURIComponent(u)}/games/archives`;
-    const idx = await fetchJson(indexUrl);
-    const archives = idx.archives || [];
-    if (archives.length === 0)
-        return null;
-    // iterate from latest to oldest
-    for (let i = archives.length - 1; i >= 0; i--) {
-        const month = await fetchJson(archives[i]);
-        const games = month.games || [];
-        const candidates = games.filter((g) => (g.time_class?.toLowerCase() === timeClass) && (g.end_time || 0) < beforeEndTime);
-        if (candidates.length === 0)
-            continue;
-        // pick latest before cutoff
-        let latest = undefined;
-        for (const g of candidates) {
-            if (!latest || ((g.end_time || 0) > (latest.end_time || 0))) {
-                latest = g;
-            }
+    // Write the chosen position of a game as an SVG file, from the focus player's side with the
+    // last move highlighted. Uses the PGN, or the game's `fen` when there is no PGN to replay.
+    async saveBoardImage(game, meColor) {
+        const { replay } = loadPgn(game.pgn || '');
+        let position = null;
+        let lastMove = null;
+        let label = 'final';
+        if (replay.positions.length > 1 || !game.fen) {
+            const final = replay.positions.length - 1;
+            const wanted = parseInt(this.settings.boardImagePly, 10);
+            const ply = wanted >= 0 && wanted < final ? wanted : final;
+            position = replay.positions[ply];
+            lastMove = ply > 0 ? replay.moves[ply - 1] : null;
+            if (ply !== final)
+                label = `ply ${ply}`;
+        }
+        else {
+            position = ChessPosition.fromFen(game.fen);
+        }
+        if (!position)
+            return null;
+        const svg = renderBoardSvg(position, Object.assign(this.boardStyle(), { orientation: meColor === 'black' ? 'black' : 'white', lastMove }));
+        const folder = (0, obsidian_1.normalizePath)(this.settings.boardImageFolder || exports.DEFAULT_SETTINGS.boardImageFolder);
+        const id = sanitizeFileName((game.uuid || game.url || 'game').split('/').pop());
+        const path = (0, obsidian_1.normalizePath)(`${folder}/${id} ${label}.svg`);
+        await ensureFolder(this.app, folder);
+        const existing = this.app.vault.getAbstractFileByPath(path);
+        if (existing instanceof obsidian_1.TFile) {
+            // Redraw in case the board style changed
+            if ((await this.app.vault.read(existing)) !== svg)
+                await this.app.vault.modify(existing, svg);
+            return existing;
         }
-        if (latest)
-            return latest;
+        return this.createFile(path, svg);
     }
-    return null;
-}
-function profileUrl(username) {
-    const u = (username || '').trim();
-    if (!u)
-        return '';
-    return `https://www.chess.com/member/${encodeURIComponent(u)}`;
-}
-function labelGameType(tc) {
-    const t = (tc || '').toLowerCase();
-    if (t === 'bullet')
-        return 'Bullet';
-    if (t === 'blitz')
-        return 'Blitz';
-    if (t === 'rapid')
-        return 'Rapid';
-    if (t === 'daily')
-        return 'Daily';
-    return '';
-}
-async function buildTemplateVars(game, meColor, lookupUsername, dateFormat, timeFormat) {
-    const white = game.white || {};
-    const black = game.black || {};
-    const timeClass = game.time_class || '';
-    const start = game.start_time;
-    const end = game.end_time;
-    const whiteCat = outcomeCategory(white.result);
-    const blackCat = outcomeCategory(black.result);
-    const winnerSide = whiteCat === 'win' ? 'white' : blackCat === 'win' ? 'black' : null;
-    const loserSide = whiteCat === 'loss' ? 'white' : blackCat === 'loss' ? 'black' : null;
-    const winner = winnerSide ? (winnerSide === 'white' ? white : black) : undefined;
-    const loser = loserSide ? (loserSide === 'white' ? white : black) : undefined;
-    const lookupName = (lookupUsername && lookupUsername.trim()) || (meColor === 'white' ? white.username : black.username) || '';
-    const lookupNorm = normalizeUsername(lookupName);
-    const whiteNorm = normalizeUsername(white.username);
-    const blackNorm = normalizeUsername(black.username);
-    const lookupSide = lookupNorm === whiteNorm ? 'white' : lookupNorm === blackNorm ? 'black' : meColor;
-    const lookupPlayer = lookupSide === 'white' ? white : black;
-    const otherPlayer = lookupSide === 'white' ? black : white;
-    // Compute rating change vs previous game of same type for focus user (formerly lookup)
-    let ratingChange = '';
-    try {
-        if (end && timeClass && lookupName) {
-            const prev = await getPreviousGameForUser(lookupName, timeClass, end);
-            if (prev) {
-                const prevWhite = prev.white || {};
-                const prevBlack = prev.black || {};
-                const prevLookup = normalizeUsername(prevWhite.username) === lookupNorm ? prevWhite : prevBlack;
-                if (lookupPlayer.rating != null && prevLookup.rating != null) {
-                    const delta = lookupPlayer.rating - prevLookup.rating;
-                    ratingChange = (delta > 0 ? `+${delta}` : `${delta}`);
-                }
+    async addProfileVars(template, vars, provider) {
+        const used = collectTemplateNames(parseTemplate(template).nodes);
+        for (const side of ['focus', 'foe']) {
+            const names = profileVarNames(side).filter((n) => used.has(n));
+            if (names.length === 0 || !vars[side])
+                continue;
+            const records = names.some((n) => n.startsWith(`${side}_best_`) || n.startsWith(`${side}_record_`));
+            try {
+                Object.assign(vars, buildProfileVars(await this.getProfile(provider, vars[side], records), side, this.settings.dateFormat));
+            }
+            catch (e) {
+                // Leave them empty (N/A) rather than failing the whole insert
+                console.warn(`[LastChess] Failed to load profile of ${vars[side]}`, e);
+                for (const n of names)
+                    vars[n] = '';
             }
         }
     }
-    catch (e) {
-        // ignore, leave empty -> N/A via normalizer
+    // Why a player has no game to show: a closed account, or simply no (matching) games
+    async noGamesError(provider, username, timeClass) {
+        try {
+            const profile = await this.getProfile(provider, username, false);
+            if (profile.closed)
+                return new UserClosedError(`Account ${username} is closed`, { username, reason: profile.closed === 'closed' ? '' : profile.closed.replace(/_/g, ' ') });
+        }
+        catch (e) {
+            if (e instanceof UserNotFoundError)
+                return e;
+        }
+        return new NoGamesError(`No games for ${username}`, { username, timeClass });
     }
-    const startDate = formatDateOnly(start, dateFormat);
-    const endDate = formatDateOnly(end, dateFormat);
-    const startTime = formatTimeOnly(start, timeFormat);
-    const endTime = formatTimeOnly(end, timeFormat);
-    const vars = {
-        rated: game.rated ? 'Rated' : 'Unrated',
-        rules: game.rules || '',
-        // New timestamp fields
-        start_timestamp: formatTimestamp(start, dateFormat, timeFormat),
-        end_timestamp: formatTimestamp(end, dateFormat, timeFormat),
-        start_date: startDate,
-        end_date: endDate,
-        start_time: startTime,
-        end_time: endTime,
-        moves: countFullMovesFromPgn(game.pgn),
-        time: formatDuration(start, end, timeClass),
-        url: game.url || '',
-        game_type: labelGameType(timeClass), // capitalized game type
-        white: white.username || '',
-        white_url: profileUrl(white.username),
-        white_rating: white.rating != null ? String(white.rating) : '',
-        white_result: pastTenseLabel(whiteCat),
-        black: black.username || '',
-        black_url: profileUrl(black.username),
-        black_rating: black.rating != null ? String(black.rating) : '',
-        black_result: pastTenseLabel(blackCat),
-        winner: winner?.username || '',
-        winner_url: winner?.username ? profileUrl(winner.username) : '',
-        winner_rating: winner?.rating != null ? String(winner.rating) : '',
-        loser: loser?.username || '',
-        loser_url: loser?.username ? profileUrl(loser.username) : '',
-        loser_rating: loser?.rating != null ? String(loser.rating) : '',
-        // focus/foe (new names replacing lookup/other)
-        focus: lookupPlayer.username || lookupName,
-        focus_url: profileUrl(lookupPlayer.username || lookupName),
-        focus_rating: lookupPlayer.rating != null ? String(lookupPlayer.rating) : '',
-        focus_result: pastTenseLabel(outcomeCategory(lookupPlayer.result)),
-        foe: otherPlayer.username || '',
-        foe_url: profileUrl(otherPlayer.username),
-        foe_rating: otherPlayer.rating != null ? String(otherPlayer.rating) : '',
-        foe_result: pastTenseLabel(outcomeCategory(otherPlayer.result)),
-        rating_change: ratingChange,
-    };
-    return vars;
-}
-function normalizeVarsToNA(vars) {
-    const out = {};
-    for (const [k, v] of Object.entries(vars)) {
-        if (v === undefined || v === null)
-            out[k] = 'N/A';
-        else if (typeof v === 'string' && v.length === 0)
-            out[k] = 'N/A';
-        else
-            out[k] = v;
+    async getProfile(provider, username, records) {
+        const key = `${provider.id}:${normalizeUsername(username)}`;
+        const now = Date.now() / 1000;
+        const hit = this.profileCache.get(key);
+        if (hit && now - hit.at < PROFILE_CACHE_SECONDS && (hit.records || !records))
+            return hit.profile;
+        const profile = await provider.getProfile(username, { records });
+        this.profileCache.set(key, { profile, records, at: now });
+        return profile;
     }
-    return out;
-}
-function renderTemplate(tpl, vars) {
-    let out = tpl || '';
-    const normalized = normalizeVarsToNA(vars);
-    for (const [k, v] of Object.entries(normalized)) {
-        const re = new RegExp(`{{\\s*${k}\\s*}}`, 'g');
-        out = out.replace(re, v ?? 'N/A');
-    }
-    // Replace removed legacy/renamed handlebars with N/A so they don't leak into output
-    const legacyKeys = [
-        'start', 'end', 'time_class', 'timeClass',
-        // removed in favor of focus/foe
-        'lookup', 'lookup_url', 'lookup_rating', 'lookup_result',
-        'other', 'other_url', 'other_rating', 'other_result'
-    ];
-    for (const key of legacyKeys) {
-        const re = new RegExp(`{{\\s*${key}\\s*}}`, 'g');
-        out = out.replace(re, 'N/A');
+    // Like fetchInsert, for content that isn't a game: `load` resolves to template vars
+    async fetchInsertVars(template, load, provider, done) {
+        const view = this.app.workspace.getActiveViewOfType(obsidian_1.MarkdownView);
+        if (!view) {
+            new obsidian_1.Notice('Open a note to insert into.');
+            return;
+        }
+        this.beginBusy(`Fetching from ${provider.label}…`);
+        try {
+            this.insertIntoEditor(view, renderTemplate(template, await load()));
+            new obsidian_1.Notice(done);
+        }
+        catch (e) {
+            console.error('[LastChess] Failed to fetch/insert', e);
+            new obsidian_1.Notice(describeError(e, provider));
+        }
+        finally {
+            this.endBusy();
+        }
     }
-    return out.trim();
-}
-class LastChessComGamePlugin extends obsidian_1.Plugin {
-    constructor() {
-        super(...arguments);
-        this.statusBarEl = null;
-        this.busyCount = 0;
-        // Command ids we own (for dynamic renaming)
-        this.cmdIds = {
-            any: 'last-game-played-any',
-            daily: 'last-game-played-daily',
-            blitz: 'last-game-played-blitz',
-            rapid: 'last-game-played-rapid',
-            bullet: 'last-game-played-bullet',
-            lookup: 'lookup-user-last-game',
-        };
+    async insertDailyPuzzle() {
+        const provider = this.getProvider();
+        await this.fetchInsertVars(this.settings.templatePuzzle, async () => buildPuzzleVars(await provider.getDailyPuzzle(), this.settings.dateFormat), provider, 'Inserted daily puzzle.');
     }
-    async onload() {
-        await this.loadSettings();
-        this.addSettingTab(new LastChessSettingTab(this.app, this));
-        // Status bar
-        this.statusBarEl = this.addStatusBarItem();
-        this.clearBusy();
-        // Commands (Command Palette)
-        this.registerCommands();
-        console.log('Last Chess.com Game plugin loaded');
+    async insertPuzzleStats(username) {
+        const provider = this.getProvider();
+        await this.fetchInsertVars(this.settings.templatePuzzleStats, async () => buildPuzzleStatsVars(await provider.getPuzzleStats(username), username, provider, this.settings.dateFormat), provider, 'Inserted puzzle stats.');
     }
-    onunload() {
-        console.log('Last Chess.com Game plugin unloaded');
+    insertIntoEditor(view, text) {
+        view.editor.replaceSelection(text + '\n');
+        // Place cursor at end of inserted text
+        const cur = view.editor.getCursor('to');
+        view.editor.setCursor(cur);
     }
-    beginBusy(text = 'Fetching from Chess.com…') {
-        this.busyCount++;
-        if (this.statusBarEl)
-            this.statusBarEl.setText(text);
+    // Insert one rendered line per game the user finished on the active note's date
+    async insertGamesOnNoteDate(username, timeClass) {
+        const view = this.app.workspace.getActiveViewOfType(obsidian_1.MarkdownView);
+        if (!view) {
+            new obsidian_1.Notice('Open a note to insert games.');
+            return;
+        }
+        const day = view.file ? getNoteDate(this.app, view.file) : null;
+        if (!day) {
+            const { format } = getDailyNoteSettings(this.app);
+            new obsidian_1.Notice(`Could not read a date from this note. Name it in your Daily Notes format (${format}) or add a "date" property.`);
+            return;
+        }
+        const provider = this.getProvider();
+        // The note's calendar day in the configured time zone
+        const since = dayStartUnix(day);
+        const until = dayStartUnix(day.clone().add(1, 'day'));
+        const dayLabel = formatDateOnly(since, this.settings.dateFormat);
+        this.beginBusy(`Fetching from ${provider.label}…`);
+        try {
+            const games = await provider.getGames(username, { since, until, timeClass });
+            if (games.length === 0) {
+                new obsidian_1.Notice(timeClass ? `No ${timeClass} games found on ${dayLabel}.` : `No games found on ${dayLabel}.`);
+                return;
+            }
+            const u = normalizeUsername(username);
+            const lines = [];
+            for (const game of games) {
+                lines.push(await this.renderGame(this.settings.templateDefault, game, colorOfUser(game, u), username, provider, games));
+            }
+            this.insertIntoEditor(view, lines.join('\n'));
+            new obsidian_1.Notice(`Inserted ${games.length} game${games.length === 1 ? '' : 's'} from ${dayLabel}.`);
+        }
+        catch (e) {
+            console.error('[LastChess] Failed to fetch/insert games for note date', e);
+            new obsidian_1.Notice(describeError(e, provider));
+        }
+        finally {
+            this.endBusy();
+        }
     }
-    endBusy() {
-        this.busyCount = Math.max(0, this.busyCount - 1);
+    // Write a game to its own note, reusing an existing note for the same game
+    // `written`: path -> url of notes created earlier in the same run, which metadataCache
+    // hasn't indexed yet
+    async saveGameNote(game, vars, provider, written) {
+        const folder = (0, obsidian_1.normalizePath)(this.settings.gameNotesFolder || exports.DEFAULT_SETTINGS.gameNotesFolder);
+        const baseName = sanitizeFileName(renderTemplate(this.settings.gameNoteName || exports.DEFAULT_SETTINGS.gameNoteName, vars)) || sanitizeFileName(game.uuid || game.url) || 'Game';
+        await ensureFolder(this.app, folder);
+        let path = (0, obsidian_1.normalizePath)(`${folder}/${baseName}.md`);
+        let existing = this.app.vault.getAbstractFileByPath(path);
+        const urlOf = (file) => written?.get(file.path) ?? this.app.metadataCache.getFileCache(file)?.frontmatter?.url;
+        if (existing instanceof obsidian_1.TFile) {
+            if (urlOf(existing) === vars.url)
+                return existing;
+            // Same name, different game (e.g. a rematch): disambiguate with the game id
+            const id = sanitizeFileName((game.uuid || game.url || '').split('/').pop());
+            path = (0, obsidian_1.normalizePath)(`${folder}/${baseName} ${id}.md`);
+            existing = this.app.vault.getAbstractFileByPath(path);
+            if (existing instanceof obsidian_1.TFile)
+                return existing;
+        }
+        const file = await this.createFile(path, buildGameNote(game, vars, provider.id));
+        written?.set(file.path, vars.url);
+        return file;
+    }
+    async saveLastGameAsNote(username, timeClass) {
+        const view = this.app.workspace.getActiveViewOfType(obsidian_1.MarkdownView);
+        if (!view) {
+            new obsidian_1.Notice('Open a note to insert the link to the saved game.');
+            return;
+        }
+        const provider = this.getProvider();
+        this.beginBusy(`Fetching from ${provider.label}…`);
+        try {
+            const res = await provider.getLastGame(username, { timeClass });
+            if (!res) {
+                new obsidian_1.Notice(describeError(await this.noGamesError(provider, username, timeClass), provider));
+                return;
+            }
+            const vars = await buildTemplateVars(res.game, res.meColor, username, this.settings.dateFormat, this.settings.timeFormat, provider);
+            const file = await this.saveGameNote(res.game, vars, provider);
+            vars.game_note = this.app.fileManager.generateMarkdownLink(file, view.file?.path || '');
+            await this.addProfileVars(this.settings.templateGameNoteLink, vars, provider);
+            await this.addBoardImageVars(this.settings.templateGameNoteLink, vars, res.game, res.meColor);
+            await this.addAnalysisVars(this.settings.templateGameNoteLink, vars, res.game, res.meColor);
+            this.insertIntoEditor(view, renderTemplate(this.settings.templateGameNoteLink, vars));
+            new obsidian_1.Notice(`Saved game to ${file.path}.`);
+        }
+        catch (e) {
+            console.error('[LastChess] Failed to save game note', e);
+            new obsidian_1.Notice(describeError(e, provider, `Failed to save the game from ${provider.label}. See console for details.`));
+        }
+        finally {
+            this.endBusy();
+        }
+    }
+    // (Re)start the auto sync timer from the current settings
+    scheduleAutoSync() {
+        if (this.autoSyncTimer != null) {
+            window.clearInterval(this.autoSyncTimer);
+            this.autoSyncTimer = null;
+        }
+        if (!this.settings.autoSync)
+            return;
+        const minutes = Math.max(1, Number(this.settings.autoSyncMinutes) || exports.DEFAULT_SETTINGS.autoSyncMinutes);
+        this.autoSyncTimer = this.registerInterval(window.setInterval(() => this.syncNewGames({ automatic: true }), minutes * 60 * 1000));
+    }
+    // (Re)start the status bar count of daily games waiting for the default user's move
+    scheduleDailyStatus() {
+        if (this.dailyStatusTimer != null) {
+            window.clearInterval(this.dailyStatusTimer);
+            this.dailyStatusTimer = null;
+        }
+        if (!this.settings.dailyStatusBar) {
+            this.setIdleStatus('');
+            return;
+        }
+        this.refreshDailyStatus();
+        this.dailyStatusTimer = this.registerInterval(window.setInterval(() => this.refreshDailyStatus(), DAILY_STATUS_MINUTES * 60 * 1000));
+    }
+    async refreshDailyStatus() {
+        const username = this.settings.username?.trim();
+        const provider = this.getProvider();
+        if (!username || typeof provider.getDailyGames !== 'function') {
+            this.setIdleStatus('');
+            return;
+        }
+        try {
+            const toMove = (await provider.getDailyGames(username)).filter((g) => g.myTurn).length;
+            this.setIdleStatus(toMove ? `♞ ${toMove} to move` : '');
+        }
+        catch (e) {
+            // Keep the last known count; the next refresh retries
+            console.warn('[LastChess] Failed to refresh daily games', e);
+        }
+    }
+    setIdleStatus(text) {
+        this.idleStatus = text;
         if (this.busyCount === 0)
             this.clearBusy();
     }
-    clearBusy() {
-        if (this.statusBarEl)
-            this.statusBarEl.setText('');
+    // Today's daily note, created from the Daily Notes template when missing
+    async getOrCreateDailyNote() {
+        const { format, folder, template } = getDailyNoteSettings(this.app);
+        const today = zonedToday();
+        const path = (0, obsidian_1.normalizePath)(`${folder}/${today.format(format)}.md`);
+        const existing = this.app.vault.getAbstractFileByPath(path);
+        if (existing instanceof obsidian_1.TFile)
+            return existing;
+        let content = '';
+        if (template) {
+            const templatePath = (0, obsidian_1.normalizePath)(template.endsWith('.md') ? template : `${template}.md`);
+            const templateFile = this.app.vault.getAbstractFileByPath(templatePath);
+            if (templateFile instanceof obsidian_1.TFile)
+                content = renderDailyNoteTemplate(await this.app.vault.read(templateFile), today, path.split('/').pop().replace(/\.md$/, ''));
+        }
+        await ensureFolder(this.app, path.split('/').slice(0, -1).join('/'));
+        return this.createFile(path, content);
     }
-    async ensureDefaultUsername() {
-        let u = this.settings.username?.trim();
-        if (!u) {
-            const input = window.prompt('Enter your Chess.com username') ?? '';
-            const trimmed = input.trim();
-            if (!trimmed)
-                return null;
-            u = trimmed;
-            this.settings.username = u;
+    // Append the default user's games that ended after the stored high-water mark to today's
+    // daily note. The mark lives in data.json, so it is re-read first to pick up other devices' syncs.
+    async syncNewGames(opts) {
+        const automatic = !!opts?.automatic;
+        if (this.syncing)
+            return;
+        const username = this.settings.username?.trim();
+        if (!username) {
+            if (!automatic)
+                new obsidian_1.Notice('Set your username in the plugin settings to sync games.');
+            return;
+        }
+        const provider = this.getProvider();
+        const key = `${provider.id}:${normalizeUsername(username)}`;
+        this.syncing = true;
+        this.beginBusy(`Syncing from ${provider.label}…`);
+        try {
+            const stored = (await this.loadData())?.syncMarks?.[key] || 0;
+            // First sync starts at today rather than dumping the whole history
+            const mark = Math.max(stored, this.settings.syncMarks?.[key] || 0) || dayStartUnix(zonedToday()) - 1;
+            const games = await provider.getGames(username, { since: mark + 1 });
+            if (games.length === 0) {
+                if (!automatic)
+                    new obsidian_1.Notice('No new games to sync.');
+                return;
+            }
+            const u = normalizeUsername(username);
+            const lines = [];
+            for (const game of games) {
+                lines.push(await this.renderGame(this.settings.templateDefault, game, colorOfUser(game, u), username, provider, games));
+            }
+            const file = await this.getOrCreateDailyNote();
+            await this.app.vault.process(file, (content) => appendUnderHeading(content, this.settings.autoSyncHeading || '', lines));
+            this.settings.syncMarks = Object.assign({}, this.settings.syncMarks, { [key]: games[games.length - 1].end_time });
             await this.saveSettings();
-            this.updateCommandNames();
+            new obsidian_1.Notice(`Synced ${games.length} new game${games.length === 1 ? '' : 's'} into ${file.basename}.`);
+        }
+        catch (e) {
+            console.error('[LastChess] Auto sync failed', e);
+            if (!automatic)
+                new obsidian_1.Notice(describeError(e, provider, `Failed to sync from ${provider.label}. See console for details.`));
+        }
+        finally {
+            this.syncing = false;
+            this.endBusy();
         }
-        return u;
     }
-    nameUser() {
-        return this.settings.username?.trim() || '>USER<';
+    importStatePath(site, username, mode) {
+        return `${this.pluginDir}/imports/${site}-${sanitizeFileName(normalizeUsername(username))}-${mode}.json`;
     }
-    nameAny() { return `Last game played by ${this.nameUser()} regardless of type`; }
-    nameDaily() { return `Last Daily played by ${this.nameUser()}`; }
-    nameBlitz() { return `Last Blitz played by ${this.nameUser()}`; }
-    nameRapid() { return `Last Rapid played by ${this.nameUser()}`; }
-    nameBullet() { return `Last Bullet played by ${this.nameUser()}`; }
-    fullCommandId(shortId) {
-        // In Obsidian, command ids are stored as '<plugin-id>:<shortId>'
-        return `${this.manifest.id}:${shortId}`;
+    // Import cursor per site, user and mode: finished months, and for months still in progress the
+    // end time of the last game written (plus the ids of games ending in that same second)
+    async loadImportState(site, username, mode) {
+        const adapter = this.app.vault.adapter;
+        const path = this.importStatePath(site, username, mode);
+        try {
+            if (await adapter.exists(path)) {
+                const state = JSON.parse(await adapter.read(path));
+                // Older state files also listed every imported id; only the months are kept
+                return { done: state.done || [], cursors: state.cursors || {} };
+            }
+        }
+        catch (e) {
+            console.warn('[LastChess] Ignoring unreadable import state', path, e);
+        }
+        return { done: [], cursors: {} };
     }
-    registerCommands() {
-        // Time-class specific commands (default user) — order: Daily, Rapid, Blitz, Bullet
-        this.addCommand({
-            id: this.cmdIds.daily,
-            name: this.nameDaily(),
-            callback: async () => {
-                const u = await this.ensureDefaultUsername();
-                if (!u)
-                    return;
-                await this.fetchInsert(u, this.settings.templateDefault, { lookupUsername: '' }, { timeClass: 'daily' });
-            },
-        });
-        this.addCommand({
-            id: this.cmdIds.rapid,
-            name: this.nameRapid(),
-            callback: async () => {
-                const u = await this.ensureDefaultUsername();
-                if (!u)
-                    return;
-                await this.fetchInsert(u, this.settings.templateDefault, { lookupUsername: '' }, { timeClass: 'rapid' });
-            },
-        });
-        this.addCommand({
-            id: this.cmdIds.blitz,
-            name: this.nameBlitz(),
-            callback: async () => {
-                const u = await this.ensureDefaultUsername();
-                if (!u)
-                    return;
-                await this.fetchInsert(u, this.settings.templateDefault, { lookupUsername: '' }, { timeClass: 'blitz' });
-            },
-        });
-        this.addCommand({
-            id: this.cmdIds.bullet,
-            name: this.nameBullet(),
-            callback: async () => {
-                const u = await this.ensureDefaultUsername();
-                if (!u)
-                    return;
-                await this.fetchInsert(u, this.settings.templateDefault, { lookupUsername: '' }, { timeClass: 'bullet' });
-            },
-        });
-        // Lookup command (modal)
-        this.addCommand({
-            id: this.cmdIds.lookup,
-            name: 'Lookup user…',
-            callback: async () => {
-                new LookupUserModal(this.app, this).open();
-            },
-        });
-        // Last game regardless of type (default user) — keep registered last
-        this.addCommand({
-            id: this.cmdIds.any,
-            name: this.nameAny(),
-            callback: async () => {
-                const u = await this.ensureDefaultUsername();
-                if (!u)
-                    return;
-                await this.fetchInsert(u, this.settings.templateDefault, { lookupUsername: u });
-            },
-        });
+    async saveImportState(site, username, mode, state) {
+        const adapter = this.app.vault.adapter;
+        const dir = `${this.pluginDir}/imports`;
+        if (!(await adapter.exists(dir)))
+            await adapter.mkdir(dir);
+        await adapter.write(this.importStatePath(site, username, mode), JSON.stringify(state));
     }
-    reRegisterCommands() {
-        const commands = this.app.commands;
+    // Walk every archive month, writing games not imported before. Finished months are
+    // remembered so a later run resumes after them; failed months are retried next run.
+    async importAllGames(username, site, mode) {
+        const provider = this.getProvider(site);
+        const modal = new ImportProgressModal(this.app, `Import ${username} from ${provider.label}`);
+        modal.open();
+        const state = await this.loadImportState(provider.id, username, mode);
+        const done = new Set(state.done);
+        const cursors = state.cursors;
+        // Only written at archive boundaries, so the file stays small and is rewritten once per month
+        const persist = () => this.saveImportState(provider.id, username, mode, { done: [...done], cursors });
+        // Games and notes written in this run; metadataCache doesn't know about new notes yet
+        const ids = new Set();
+        const written = new Map();
+        const seen = (key, g) => {
+            const cursor = cursors[key];
+            const endTime = g.end_time || 0;
+            return ids.has(gameId(g)) || (!!cursor && (endTime < cursor.endTime || (endTime === cursor.endTime && cursor.ids.includes(gameId(g)))));
+        };
+        const advance = (key, g) => {
+            ids.add(gameId(g));
+            const cursor = cursors[key];
+            const endTime = g.end_time || 0;
+            if (cursor?.endTime === endTime)
+                cursor.ids.push(gameId(g));
+            else if (!cursor || endTime > cursor.endTime)
+                cursors[key] = { endTime, ids: [gameId(g)] };
+        };
+        let archives;
         try {
-            // Attempt to remove existing commands so we can re-add with new names
-            const ids = Object.values(this.cmdIds);
-            for (const sid of ids) {
-                const fullId = this.fullCommandId(sid);
-                if (commands?.commands?.[fullId] && typeof commands.removeCommand === 'function') {
-                    try {
-                        commands.removeCommand(fullId);
+            archives = await provider.listArchives(username);
+        }
+        catch (e) {
+            console.error('[LastChess] Failed to list archives', e);
+            modal.finish(describeError(e, provider, `Failed to list archives from ${provider.label}. See console for details.`));
+            return;
+        }
+        modal.setMonths(archives.map((a) => a.key));
+        const folder = (0, obsidian_1.normalizePath)(this.settings.gameNotesFolder || exports.DEFAULT_SETTINGS.gameNotesFolder);
+        let imported = 0;
+        let failed = 0;
+        this.beginBusy(`Importing from ${provider.label}…`);
+        try {
+            for (const archive of archives) {
+                if (modal.cancelled)
+                    break;
+                if (done.has(archive.key)) {
+                    modal.setStatus(archive.key, 'imported earlier');
+                    continue;
+                }
+                modal.setStatus(archive.key, 'importing…');
+                modal.setSummary(`Importing ${archive.key}… ${imported} games so far.`);
+                try {
+                    const games = await provider.getArchiveGames(username, archive);
+                    const fresh = games.filter((g) => !seen(archive.key, g));
+                    if (mode === 'pgn') {
+                        if (fresh.length)
+                            await this.appendMonthlyPgn(`${folder}/${sanitizeFileName(username)}/${archive.key}.pgn`, fresh);
+                        fresh.forEach((g) => advance(archive.key, g));
                     }
-                    catch { }
+                    else {
+                        const u = normalizeUsername(username);
+                        for (const game of fresh) {
+                            if (modal.cancelled)
+                                break;
+                            const vars = await buildTemplateVars(game, colorOfUser(game, u), username, this.settings.dateFormat, this.settings.timeFormat, provider, games);
+                            await this.saveGameNote(game, vars, provider, written);
+                            advance(archive.key, game);
+                        }
+                    }
+                    imported += fresh.filter((g) => ids.has(gameId(g))).length;
+                    if (archive.final && !modal.cancelled) {
+                        done.add(archive.key);
+                        delete cursors[archive.key];
+                    }
+                    await persist();
+                    modal.setStatus(archive.key, fresh.length ? `${fresh.length} new of ${games.length}` : `${games.length} games, nothing new`);
                 }
+                catch (e) {
+                    failed++;
+                    console.error(`[LastChess] Import of ${archive.key} failed`, e);
+                    modal.setStatus(archive.key, 'failed, retried next run', true);
+                }
+                // Stay well below the sites' rate limits
+                await sleep(IMPORT_THROTTLE_MS);
             }
         }
-        catch { }
-        // Re-add with current username reflected in names
-        this.registerCommands();
+        finally {
+            this.endBusy();
+        }
+        const summary = `${modal.cancelled ? 'Cancelled' : 'Done'}: imported ${imported} new game${imported === 1 ? '' : 's'}${failed ? `, ${failed} month${failed === 1 ? '' : 's'} failed` : ''}.`;
+        modal.finish(summary);
+        new obsidian_1.Notice(summary);
     }
-    updateCommandNames() {
-        const cmds = {
-            [this.cmdIds.any]: this.nameAny(),
-            [this.cmdIds.daily]: this.nameDaily(),
-            [this.cmdIds.blitz]: this.nameBlitz(),
-            [this.cmdIds.rapid]: this.nameRapid(),
-            [this.cmdIds.bullet]: this.nameBullet(),
-            [this.cmdIds.lookup]: 'Lookup user…',
-        };
-        const commands = this.app.commands;
-        if (!commands)
+    // Append games to a PGN file in the vault, skipping games whose link it already holds
+    async appendMonthlyPgn(path, games) {
+        const normalized = (0, obsidian_1.normalizePath)(path);
+        await ensureFolder(this.app, normalized.split('/').slice(0, -1).join('/'));
+        const file = this.app.vault.getAbstractFileByPath(normalized);
+        const existing = file instanceof obsidian_1.TFile ? await this.app.vault.read(file) : '';
+        const pgns = games.filter((g) => !g.url || !existing.includes(`"${g.url}"`)).map((g) => (g.pgn || '').trim()).filter(Boolean);
+        if (!pgns.length)
             return;
-        let updated = false;
-        for (const [shortId, name] of Object.entries(cmds)) {
-            const fullId = this.fullCommandId(shortId);
-            const cmd = commands.commands?.[fullId];
-            if (cmd) {
-                cmd.name = name;
-                if (typeof commands.updateCommand === 'function') {
-                    try {
-                        commands.updateCommand(cmd);
-                        updated = true;
-                    }
-                    catch { }
+        const text = pgns.join('\n\n') + '\n\n';
+        if (file instanceof obsidian_1.TFile)
+            await this.app.vault.append(file, text);
+        else
+            await this.createFile(normalized, text);
+    }
+    // Insert the session summary template for the user's games in [since, until)
+    async insertSummary(username, since, until) {
+        const view = this.app.workspace.getActiveViewOfType(obsidian_1.MarkdownView);
+        if (!view) {
+            new obsidian_1.Notice('Open a note to insert the summary.');
+            return;
+        }
+        const provider = this.getProvider();
+        this.beginBusy(`Fetching from ${provider.label}…`);
+        try {
+            const games = await provider.getGames(username, { since, until });
+            if (games.length === 0) {
+                new obsidian_1.Notice('No games found in that range.');
+                return;
+            }
+            const template = this.settings.templateSummary;
+            const vars = await buildSummaryVars(games, username, since, until, this.settings.dateFormat, this.settings.timeFormat, provider, templateUsesVar(template, 'games'));
+            this.insertIntoEditor(view, renderTemplate(template, vars));
+            new obsidian_1.Notice(`Inserted summary of ${games.length} game${games.length === 1 ? '' : 's'}.`);
+        }
+        catch (e) {
+            console.error('[LastChess] Failed to fetch/insert summary', e);
+            new obsidian_1.Notice(describeError(e, provider));
+        }
+        finally {
+            this.endBusy();
+        }
+    }
+    async insertDailyGames(username) {
+        const view = this.app.workspace.getActiveViewOfType(obsidian_1.MarkdownView);
+        if (!view) {
+            new obsidian_1.Notice('Open a note to insert daily games.');
+            return;
+        }
+        const provider = this.getProvider();
+        if (typeof provider.getDailyGames !== 'function') {
+            new obsidian_1.Notice(`Daily games in progress are not available from ${provider.label}.`);
+            return;
+        }
+        this.beginBusy(`Fetching from ${provider.label}…`);
+        try {
+            const games = await provider.getDailyGames(username);
+            if (games.length === 0) {
+                new obsidian_1.Notice('No daily games in progress.');
+                return;
+            }
+            this.insertIntoEditor(view, formatDailyGamesMarkdown(games, Math.floor(Date.now() / 1000)));
+            const toMove = games.filter((g) => g.myTurn).length;
+            new obsidian_1.Notice(`Inserted ${games.length} daily game${games.length === 1 ? '' : 's'}, ${toMove} waiting for your move.`);
+        }
+        catch (e) {
+            console.error('[LastChess] Failed to fetch/insert daily games', e);
+            new obsidian_1.Notice(describeError(e, provider));
+        }
+        finally {
+            this.endBusy();
+        }
+    }
+    // Optional `user:` line; Chess.com only
+    async renderDailyBlock(source, el) {
+        const { options } = parseBlockOptions(source);
+        const username = options.user || this.settings.username;
+        if (!username) {
+            el.setText('Add a "user:" line to this lastchess-daily block.');
+            return;
+        }
+        const provider = this.providers.chesscom;
+        el.setText('Loading daily games…');
+        try {
+            const games = await provider.getDailyGames(username);
+            el.empty();
+            if (games.length === 0) {
+                el.setText(`No daily games in progress for ${username}.`);
+                return;
+            }
+            const now = Math.floor(Date.now() / 1000);
+            const table = el.createEl('table', { cls: 'lastchess-daily' });
+            const head = table.createEl('thead').createEl('tr');
+            for (const col of DAILY_GAME_COLUMNS)
+                head.createEl('th', { text: col });
+            const tbody = table.createEl('tbody');
+            for (const game of games) {
+                const [opponent, turn, left, url] = dailyGameCells(game, now);
+                const tr = tbody.createEl('tr');
+                tr.createEl('td', { text: opponent });
+                tr.createEl('td', { text: turn, attr: { style: game.myTurn ? 'font-weight:600;' : '' } });
+                tr.createEl('td', { text: left, attr: { style: game.myTurn && game.moveBy && game.moveBy - now < 6 * 3600 ? 'color: var(--text-error);' : '' } });
+                tr.createEl('td').createEl('a', { text: 'Open', href: url });
+            }
+        }
+        catch (e) {
+            console.error('[LastChess] Failed to load daily games', e);
+            el.setText(describeError(e, provider, `Failed to load games from ${provider.label}. See console for details.`));
+        }
+    }
+    // Offer the user's games from the last GAME_PICKER_DAYS days, newest first, and insert the chosen ones
+    async pickGames(username) {
+        const view = this.app.workspace.getActiveViewOfType(obsidian_1.MarkdownView);
+        if (!view) {
+            new obsidian_1.Notice('Open a note to insert games.');
+            return;
+        }
+        const provider = this.getProvider();
+        let games;
+        this.beginBusy(`Fetching from ${provider.label}…`);
+        try {
+            games = await provider.getGames(username, { since: dayStartUnix(zonedToday().subtract(GAME_PICKER_DAYS, 'days')) });
+        }
+        catch (e) {
+            console.error('[LastChess] Failed to fetch games for picker', e);
+            new obsidian_1.Notice(describeError(e, provider));
+            return;
+        }
+        finally {
+            this.endBusy();
+        }
+        if (games.length === 0) {
+            new obsidian_1.Notice(`No games in the last ${GAME_PICKER_DAYS} days.`);
+            return;
+        }
+        new GamePickerModal(this.app, [...games].reverse(), username, this.settings, async (chosen) => {
+            const u = normalizeUsername(username);
+            this.beginBusy('Rendering games…');
+            try {
+                const lines = [];
+                for (const game of chosen) {
+                    lines.push(await this.renderGame(this.settings.templateDefault, game, colorOfUser(game, u), username, provider, games));
                 }
+                this.insertIntoEditor(view, lines.join('\n'));
+                new obsidian_1.Notice(chosen.length === 1 ? 'Inserted game.' : `Inserted ${chosen.length} games.`);
+            }
+            catch (e) {
+                console.error('[LastChess] Failed to insert picked games', e);
+                new obsidian_1.Notice(describeError(e, provider, 'Failed to insert the picked games. See console for details.'));
+            }
+            finally {
+                this.endBusy();
             }
+        }).open();
+    }
+    // Scan the first player's games for ones against `opponent` and insert the head-to-head template
+    async insertHeadToHead(username, opponent, opts) {
+        const view = this.app.workspace.getActiveViewOfType(obsidian_1.MarkdownView);
+        if (!view) {
+            new obsidian_1.Notice('Open a note to insert the head-to-head record.');
+            return;
         }
-        // If we couldn't update (older API), re-register commands to refresh names
-        if (!updated || typeof commands.updateCommand !== 'function') {
-            this.reRegisterCommands();
+        const provider = this.getProvider(opts?.site);
+        this.beginBusy(`Fetching from ${provider.label}…`);
+        try {
+            const games = await provider.getGames(username, { vs: opponent, timeClass: opts?.timeClass });
+            if (games.length === 0) {
+                new obsidian_1.Notice(`No games found between ${username} and ${opponent}.`);
+                return;
+            }
+            const template = this.settings.templateHeadToHead;
+            const vars = await buildHeadToHeadVars(games, username, opponent, this.settings.dateFormat, this.settings.timeFormat, provider, {
+                games: templateUsesVar(template, 'games'),
+                recent: templateUsesVar(template, 'h2h_recent'),
+            });
+            this.insertIntoEditor(view, renderTemplate(template, vars));
+            new obsidian_1.Notice(`Inserted head-to-head record over ${games.length} game${games.length === 1 ? '' : 's'}.`);
+        }
+        catch (e) {
+            console.error('[LastChess] Failed to fetch/insert head-to-head', e);
+            new obsidian_1.Notice(describeError(e, provider));
+        }
+        finally {
+            this.endBusy();
         }
     }
-    async fetchInsert(username, template, extraVars, opts) {
+    async insertOpeningReport(username, since, until) {
         const view = this.app.workspace.getActiveViewOfType(obsidian_1.MarkdownView);
         if (!view) {
-            new obsidian_1.Notice('Open a note to insert the last game.');
+            new obsidian_1.Notice('Open a note to insert the opening report.');
             return;
         }
-        this.beginBusy();
+        const provider = this.getProvider();
+        this.beginBusy(`Fetching from ${provider.label}…`);
         try {
-            const label = opts?.timeClass ? ` ${opts.timeClass}` : '';
-            const res = await getLastGameForUser(username, { timeClass: opts?.timeClass });
-            if (!res) {
-                new obsidian_1.Notice(opts?.timeClass ? `No recent ${opts.timeClass} games found or user not found.` : 'No recent games found or user not found.');
+            const games = await provider.getGames(username, { since, until });
+            if (games.length === 0) {
+                new obsidian_1.Notice('No games found in that range.');
                 return;
             }
-            const vars = await buildTemplateVars(res.game, res.meColor, extraVars.lookupUsername || username, this.settings.dateFormat, this.settings.timeFormat);
-            const text = renderTemplate(template, vars);
-            view.editor.replaceSelection(text + '\n');
-            // Place cursor at end of inserted line
-            const cur = view.editor.getCursor('to');
-            view.editor.setCursor(cur);
-            new obsidian_1.Notice(`Inserted last${label} game.`);
+            this.insertIntoEditor(view, formatOpeningReportMarkdown(buildOpeningReport(games, username), this.settings.dateFormat));
+            new obsidian_1.Notice(`Inserted opening report for ${games.length} game${games.length === 1 ? '' : 's'}.`);
         }
         catch (e) {
-            console.error('[LastChess] Failed to fetch/insert', e);
-            new obsidian_1.Notice('Failed to fetch from Chess.com. See console for details.');
+            console.error('[LastChess] Failed to fetch/insert opening report', e);
+            new obsidian_1.Notice(describeError(e, provider));
         }
         finally {
             this.endBusy();
         }
     }
-    // Insert one line per time class (bullet, blitz, rapid, daily)
+    // Same options as lastchess-rating: `user:`, `site:`, `types:`, `from:`/`to:` or `days:`
+    async renderOpeningsBlock(source, el) {
+        const { options } = parseBlockOptions(source);
+        const username = options.user || this.settings.username;
+        if (!username) {
+            el.setText('Add a "user:" line to this lastchess-openings block.');
+            return;
+        }
+        const provider = this.getProvider(options.site);
+        const range = blockRange(options);
+        if (!range) {
+            el.setText('Dates in a lastchess-openings block must look like YYYY-MM-DD.');
+            return;
+        }
+        const { since, until, types } = range;
+        el.setText('Loading games…');
+        try {
+            const games = (await provider.getGames(username, { since, until }))
+                .filter((g) => types.length === 0 || types.includes((g.time_class || '').toLowerCase()));
+            el.empty();
+            if (games.length === 0) {
+                el.setText(`No games for ${username} between ${formatDateOnly(since, this.settings.dateFormat)} and ${formatDateOnly(until - 1, this.settings.dateFormat)}.`);
+                return;
+            }
+            const report = buildOpeningReport(games, username);
+            for (const [side, rows] of [['White', report.white], ['Black', report.black]]) {
+                el.createEl('h4', { text: `As ${side}` });
+                if (rows.length === 0) {
+                    el.createEl('p', { text: 'No games.' });
+                    continue;
+                }
+                const table = el.createEl('table', { cls: 'lastchess-openings' });
+                const head = table.createEl('thead').createEl('tr');
+                for (const col of OPENING_REPORT_COLUMNS)
+                    head.createEl('th', { text: col });
+                const tbody = table.createEl('tbody');
+                for (const r of rows) {
+                    const tr = tbody.createEl('tr');
+                    tr.createEl('td', { text: r.opening });
+                    tr.createEl('td', { text: r.eco });
+                    tr.createEl('td', { text: String(r.games) });
+                    tr.createEl('td', { text: `${r.score}%` });
+                    tr.createEl('td', { text: r.avgOpponent != null ? String(r.avgOpponent) : '' });
+                    const td = tr.createEl('td');
+                    if (r.last)
+                        td.createEl('a', { text: formatDateOnly(r.last.end_time, this.settings.dateFormat), href: r.last.url });
+                }
+            }
+        }
+        catch (e) {
+            console.error('[LastChess] Failed to load games for opening report', e);
+            el.setText(describeError(e, provider, `Failed to load games from ${provider.label}. See console for details.`));
+        }
+    }
+    // Code block body: optional `url:`, `user:`, `focus:`, `orientation:` and `fen:` lines, then a PGN
+    async renderBoardBlock(source, el, ctx) {
+        const { options, body } = parseBlockOptions(source);
+        let pgn = body;
+        const focus = options.focus || options.user || '';
+        if (!pgn && options.url) {
+            const provider = this.providerForUrl(options.url);
+            el.setText('Loading game…');
+            try {
+                const game = await provider.getGameByUrl(options.url, options.user);
+                if (!game) {
+                    el.setText(provider.id === 'chesscom' && !options.user ? 'Game not found. Chess.com games need a "user:" line naming one of the players.' : 'Game not found.');
+                    return;
+                }
+                pgn = game.pgn || '';
+            }
+            catch (e) {
+                console.error('[LastChess] Failed to load game for board', e);
+                el.setText(describeError(e, provider, `Failed to load the game from ${provider.label}. See console for details.`));
+                return;
+            }
+        }
+        if (!pgn && !options.fen) {
+            el.setText('Add a PGN or a "url:" line to this lastchess block.');
+            return;
+        }
+        const { headers, replay } = loadPgn(pgn, options.fen);
+        if (replay.positions.length === 0) {
+            el.setText(`Could not set up the board: ${replay.error}`);
+            return;
+        }
+        let orientation = (options.orientation || '').toLowerCase();
+        if (orientation !== 'white' && orientation !== 'black') {
+            const f = normalizeUsername(focus);
+            orientation = f && f === normalizeUsername(headers.Black) ? 'black' : 'white';
+        }
+        ctx.addChild(new BoardWidget(el, replay, orientation, this.boardStyle()));
+    }
+    async renderRatingBlock(source, el) {
+        const { options } = parseBlockOptions(source);
+        const username = options.user || this.settings.username;
+        if (!username) {
+            el.setText('Add a "user:" line to this lastchess-rating block.');
+            return;
+        }
+        const provider = this.getProvider(options.site);
+        const range = blockRange(options);
+        if (!range) {
+            el.setText('Dates in a lastchess-rating block must look like YYYY-MM-DD.');
+            return;
+        }
+        const { since, until, types } = range;
+        el.setText('Loading rating history…');
+        try {
+            const games = await provider.getGames(username, { since, until });
+            const series = ratingSeries(games, username)
+                .filter((s) => types.length === 0 || types.includes(s.timeClass));
+            const svg = renderRatingChartSvg(series, { dateFormat: this.settings.dateFormat });
+            el.empty();
+            if (!svg) {
+                el.setText(`No rated games for ${username} between ${formatDateOnly(since, this.settings.dateFormat)} and ${formatDateOnly(until - 1, this.settings.dateFormat)}.`);
+                return;
+            }
+            el.appendChild(new DOMParser().parseFromString(svg, 'image/svg+xml').documentElement);
+        }
+        catch (e) {
+            console.error('[LastChess] Failed to load rating history', e);
+            el.setText(describeError(e, provider, `Failed to load games from ${provider.label}. See console for details.`));
+        }
+    }
     async loadSettings() {
         const data = await this.loadData();
         // Merge defaults with stored data first
         this.settings = Object.assign({}, exports.DEFAULT_SETTINGS, data);
+        this.settings.players = (Array.isArray(data?.players) ? data.players : []).map(normalizePlayer);
         // Backward-compat: if legacy single `template` exists and no explicit templateDefault set by user, adopt it
         const legacyTemplate = data?.template;
         if (legacyTemplate && (!data || !data.templateDefault)) {
@@ -828,17 +5492,52 @@ class LastChessComGamePlugin extends obsidian_1.Plugin {
                 }
             }
         }
+        // Persist freshly assigned player ids right away so command ids (and their hotkeys) stay stable.
+        // Saved after the migrations above, which rely on the stored data still being in its old shape.
+        if (data?.players?.some?.((p) => !p?.id))
+            await this.saveSettings();
+        configureDates(this.settings);
     }
     async saveSettings() {
         // Persist only known settings
         const toSave = {
             username: this.settings.username ?? exports.DEFAULT_SETTINGS.username,
+            site: this.settings.site ?? exports.DEFAULT_SETTINGS.site,
             templateDefault: this.settings.templateDefault ?? exports.DEFAULT_SETTINGS.templateDefault,
             templateOtherUser: this.settings.templateOtherUser ?? exports.DEFAULT_SETTINGS.templateOtherUser,
+            templateSummary: this.settings.templateSummary ?? exports.DEFAULT_SETTINGS.templateSummary,
+            templateHeadToHead: this.settings.templateHeadToHead ?? exports.DEFAULT_SETTINGS.templateHeadToHead,
+            templatePuzzle: this.settings.templatePuzzle ?? exports.DEFAULT_SETTINGS.templatePuzzle,
+            templatePuzzleStats: this.settings.templatePuzzleStats ?? exports.DEFAULT_SETTINGS.templatePuzzleStats,
+            cacheArchives: this.settings.cacheArchives ?? exports.DEFAULT_SETTINGS.cacheArchives,
+            gameNotesFolder: this.settings.gameNotesFolder ?? exports.DEFAULT_SETTINGS.gameNotesFolder,
+            gameNoteName: this.settings.gameNoteName ?? exports.DEFAULT_SETTINGS.gameNoteName,
+            templateGameNoteLink: this.settings.templateGameNoteLink ?? exports.DEFAULT_SETTINGS.templateGameNoteLink,
             dateFormat: this.settings.dateFormat ?? exports.DEFAULT_SETTINGS.dateFormat,
             timeFormat: this.settings.timeFormat ?? exports.DEFAULT_SETTINGS.timeFormat,
+            timeZone: this.settings.timeZone ?? exports.DEFAULT_SETTINGS.timeZone,
+            dateLocale: this.settings.dateLocale ?? exports.DEFAULT_SETTINGS.dateLocale,
+            momentDateFormats: this.settings.momentDateFormats ?? exports.DEFAULT_SETTINGS.momentDateFormats,
             lastLookupUsername: this.settings.lastLookupUsername ?? exports.DEFAULT_SETTINGS.lastLookupUsername,
+            lastLookupSite: this.settings.lastLookupSite ?? exports.DEFAULT_SETTINGS.lastLookupSite,
+            boardImageFolder: this.settings.boardImageFolder ?? exports.DEFAULT_SETTINGS.boardImageFolder,
+            boardImagePly: this.settings.boardImagePly ?? exports.DEFAULT_SETTINGS.boardImagePly,
+            boardPieceSet: this.settings.boardPieceSet ?? exports.DEFAULT_SETTINGS.boardPieceSet,
+            boardTheme: this.settings.boardTheme ?? exports.DEFAULT_SETTINGS.boardTheme,
+            boardLightColor: this.settings.boardLightColor ?? exports.DEFAULT_SETTINGS.boardLightColor,
+            boardDarkColor: this.settings.boardDarkColor ?? exports.DEFAULT_SETTINGS.boardDarkColor,
+            enginePath: this.settings.enginePath ?? exports.DEFAULT_SETTINGS.enginePath,
+            engineDepth: this.settings.engineDepth ?? exports.DEFAULT_SETTINGS.engineDepth,
+            engineMoveTime: this.settings.engineMoveTime ?? exports.DEFAULT_SETTINGS.engineMoveTime,
+            resolvePlaceholders: this.settings.resolvePlaceholders ?? exports.DEFAULT_SETTINGS.resolvePlaceholders,
+            dailyStatusBar: this.settings.dailyStatusBar ?? exports.DEFAULT_SETTINGS.dailyStatusBar,
+            autoSync: this.settings.autoSync ?? exports.DEFAULT_SETTINGS.autoSync,
+            autoSyncMinutes: this.settings.autoSyncMinutes ?? exports.DEFAULT_SETTINGS.autoSyncMinutes,
+            autoSyncHeading: this.settings.autoSyncHeading ?? exports.DEFAULT_SETTINGS.autoSyncHeading,
+            syncMarks: this.settings.syncMarks ?? {},
+            players: (this.settings.players ?? []).map(normalizePlayer),
         };
+        configureDates(this.settings);
         await this.saveData(toSave);
     }
 }